@@ -42,7 +42,7 @@
 
 import { lazyObject } from "pigretto";
 import { DEFAULT_KEY_PROP_NAME } from "./constants";
-import { lazyMapFactory } from "./shortcuts/lazyMapFactory";
+import { lazyMap } from "./shortcuts/lazyMap";
 
 /**
  * @type {string}
@@ -54,6 +54,21 @@ const MAP_TAG = "ImmutableLinkedOrderedMapEWoFkvQyQsM32wK4a5Kd";
  */
 const MAP_TAG_VALUE = true;
 
+/**
+ * @type {symbol}
+ */
+const ENTRY_TAG = Symbol("ImmutableLinkedOrderedMapEntry");
+
+/**
+ * @type {symbol}
+ */
+const VERSION_LINK = Symbol("ImmutableLinkedOrderedMapVersionLink");
+
+/**
+ * @type {symbol}
+ */
+const NOT_SET = Symbol("ImmutableLinkedOrderedMapNotSet");
+
 /**
  * @type {string}
  */
@@ -157,7 +172,16 @@ const DEFAULT_MAP_MODE = ImmutableLinkedOrderedMapMode.MULTIWAY;
  *                               The same item format is used for all mutation operations where an item or items may be given as parameters,
  *                               e.g. for "set", "replace", etc... .
  *
- * @param {string} [keyPropName] The name of the key property of an item which value should be used for the key of the map (defaults to "id").
+ * @param {string|Array<string>|Function} [keyPropName] The name of the key property of an item which value should be used for the key of the map (defaults to "id").
+ *                                                      It may also be a dotted path (e.g. "meta.uuid"), an array of property names
+ *                                                      which values are joined into a composite key (e.g. ["tenantId", "id"])
+ *                                                      or a function receiving an item and returning its key (e.g. item => item.meta.uuid).
+ *                                                      Items without a key are mapped using their single property shape (see "initialItems")
+ *                                                      only when "keyPropName" is a property name or a dotted path.
+ *                                                      Otherwise, setting an item which key is "undefined" (e.g. an item missing
+ *                                                      one of the properties of a composite key) throws a "TypeError".
+ *                                                      Composite keys are serialized to JSON strings of the values of the properties,
+ *                                                      e.g. '["tenant-1",123]'.
  * @param {number} mode The mode of the map (a value of the enum-like object "ImmutableLinkedOrderedMapMode").
  *                      When the map is single mode ("ImmutableLinkedOrderedMapMode.SINGLE"), it will only allow a single mutation operation
  *                      per linked ordered immutable map instance.
@@ -233,6 +257,45 @@ const DEFAULT_MAP_MODE = ImmutableLinkedOrderedMapMode.MULTIWAY;
  *                      Internally, the structural sharing code does not create any tree.
  *                      For multiway mode, though, the structural sharing code keeps track of the version of the map in a string
  *                      which is then used to determine if a map is a descendant of another one during lookup operations.
+ * @param {boolean} [lazy] If set to true, the initial items will be added only when the map is used for the very first time.
+ * @param {boolean} [useNativeMap] If set to true, the keys of the map will be stored in a native "Map" instead of a plain object
+ *                                 and compared using the "SameValueZero" algorithm of "Map", so that keys can be numbers, strings,
+ *                                 symbols or object references without colliding with each other (e.g. "1" and 1 will be two different keys).
+ *                                 Defaults to false, in which case the keys are coerced to strings as properties of a plain object.
+ *                                 E.g.:
+ *
+ *                                     const objectKey = { some: "object" }
+ *                                     const map = new ImmutableLinkedOrderedMap({
+ *                                         useNativeMap: true,
+ *                                         initialItems: [{ id: 1 }, { id: "1" }, { id: objectKey }]
+ *                                     })
+ *                                     map.length // 3
+ *                                     map.keys() // [1, "1", objectKey]
+ * @param {boolean} [autoCompact] If set to true, the heap map shared by the map and by all the maps forked from it will be compacted
+ *                                automatically (see "compact") as the versions of the map which are not used anymore are garbage collected.
+ *                                Defaults to false. When enabled, maps only keep a weak reference to the map from which they have been forked,
+ *                                so an ancestor map which has been garbage collected is no longer part of the ancestors of its descendant maps.
+ *                                This option has no effect if the environment does not support "WeakRef" and "FinalizationRegistry".
+ *                                E.g.:
+ *
+ *                                    let store = new ImmutableLinkedOrderedMap({
+ *                                        autoCompact: true
+ *                                    })
+ *                                    for (let i = 0; i < 100000; i++) {
+ *                                        // The previous versions of "store" are garbage collected and their nodes are dropped from the heap map.
+ *                                        store = store.set({ id: i % 100, value: i })
+ *                                    }
+ * @param {Array|Iterable} [initialEntries] Initial entries to add to the map after the initial items, if any.
+ *                                          Each entry is a "[key, value]" pair which is mapped as is, without guessing
+ *                                          the key from the shape of an item, e.g.:
+ *
+ *                                              const map = new ImmutableLinkedOrderedMap({
+ *                                                  initialEntries: [
+ *                                                      ["a", { name: "x" }],
+ *                                                      ["b", 123]
+ *                                                  ]
+ *                                              })
+ *                                              map.get("a") // Will return: { name: "x" }
  * @return {ImmutableLinkedOrderedMap} The new immutable linked ordered map.
  */
 function newImmutableLinkedOrderedMap({
@@ -240,12 +303,18 @@ function newImmutableLinkedOrderedMap({
   keyPropName = DEFAULT_KEY_PROP_NAME,
   mode = DEFAULT_MAP_MODE,
   lazy = false,
+  useNativeMap = false,
+  autoCompact = false,
+  initialEntries = void 0,
 } = {}) {
   mode =
     (ImmutableLinkedOrderedMapForMode[mode] && mode) ||
     (mode = DEFAULT_MAP_MODE);
+  if (initialEntries) {
+    initialItems = initialItems.concat(entriesToItems(initialEntries));
+  }
   let map = newMapFromMode(mode);
-  hydrateNew.call(map, { keyPropName, mode });
+  hydrateNew.call(map, { keyPropName, mode, useNativeMap, autoCompact });
   if (lazy) {
     map = newLazyMap(map, initialItems);
   } else {
@@ -309,11 +378,22 @@ function makeNode(previous, next, element) {
 /**
  * Hydrates a new map when the client code creates it.
  *
- * @param {string} keyPropName Name of the property to use for the keys of the map.
+ * @param {string|Array<string>|Function} keyPropName Name of the property to use for the keys of the map.
  * @param {number} mode The mode of the map (a property value of the enum-like object "ImmutableLinkedOrderedMapMode").
+ * @param {boolean} useNativeMap Whether to use a native "Map" for the heap map instead of a plain object.
+ * @param {boolean|undefined} autoCompact Whether to compact the heap map automatically.
+ * @param {number|undefined} depth The depth of the version tree (e.g. for a new emptied version of another map).
+ * @param {ImmutableLinkedOrderedMap|undefined} ancestorMap The map from which the map descends, if any.
  * @return {undefined}
  */
-function hydrateNew({ keyPropName, mode }) {
+function hydrateNew({
+  keyPropName,
+  mode,
+  useNativeMap,
+  autoCompact = false,
+  depth = 0,
+  ancestorMap = void 0,
+}) {
   /**
    * Each new map created from client code has a reference to a shared data structure called heap map.
    *
@@ -333,33 +413,329 @@ function hydrateNew({ keyPropName, mode }) {
    * Lookups are slower because in this case when calling "map.get('key')", the structural sharing code must
    * determine if the given version in the stack of the heap map for that key and depth is an ancestor
    * of the version of the map on which "get" is called.
+   *
+   * A native "Map" is used instead of a plain object when keys must not be coerced to strings.
+   * The plain object has no prototype, so that keys like "toString" or "__proto__" are mapped as any other key.
    */
-  const heapMap = {};
+  const heapMap = useNativeMap ? new Map() : Object.create(null);
+  if (autoCompact && autoCompactRegistry) {
+    autoCompactHeapMapsStates.set(heapMap, {
+      mapsRefs: new Set(),
+      collectedMapsCount: 0,
+    });
+  }
+  if (ancestorMap && childMapsTrackingHeapMaps.has(ancestorMap.heapMap)) {
+    // The version tree of the ancestor map keeps tracking the child maps.
+    childMapsTrackingHeapMaps.add(heapMap);
+  }
   hydrate.call(this, {
     heapMap,
-    depth: 0,
+    depth,
     length: 0,
     keyPropName,
     mode,
+    useNativeMap,
+    ancestorMap,
   });
 
   const hydrateMode = ImmutableLinkedOrderedMapForMode[mode].hydrate;
   hydrateMode && hydrateMode.call(this);
 }
 
+/**
+ * @type {number}
+ */
+let lastVersionId = 0;
+
+/**
+ * Weak references to the maps forked from a map, used to navigate the version tree towards its leaves
+ * without preventing the forked maps from being garbage collected.
+ *
+ * @type {WeakMap<ImmutableLinkedOrderedMap, Array<WeakRef>>}
+ */
+const childMapsRefs = new WeakMap();
+
+/**
+ * The heap maps of the version trees which track the maps forked from their maps.
+ *
+ * Tracking the child maps costs a weak reference for each new version, therefore a version tree starts tracking them
+ * only when "children" is called on one of its maps.
+ *
+ * @type {WeakSet<Object|Map>}
+ */
+const childMapsTrackingHeapMaps = new WeakSet();
+
+/**
+ * Keeps a weak reference to a map forked from another map, if the version tree of the map tracks its child maps.
+ *
+ * Child maps are not tracked if the environment does not support "WeakRef".
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {ImmutableLinkedOrderedMap} childMap The child map forked from the map.
+ * @return {undefined}
+ */
+function addChildMap(map, childMap) {
+  if (
+    typeof WeakRef === "undefined" ||
+    !childMapsTrackingHeapMaps.has(map.heapMap)
+  ) {
+    return;
+  }
+  let refs = childMapsRefs.get(map);
+  if (!refs) {
+    refs = [];
+    childMapsRefs.set(map, refs);
+  }
+  refs.push(new WeakRef(childMap));
+  if (refs.length >= 32 && !(refs.length & (refs.length - 1))) {
+    // Drop the references to the collected maps every time the number of references doubles.
+    childMapsRefs.set(
+      map,
+      refs.filter(ref => ref.deref())
+    );
+  }
+}
+
+/**
+ * Makes the version link of a map, i.e. the data of the map needed by its descendant maps to walk up their version tree,
+ * which is kept by the map (as its "VERSION_LINK" property).
+ *
+ * Version links reference the links of their ancestor maps, hence the ancestry of a map is still known
+ * when some of its ancestor maps have been garbage collected (maps whose heap map is compacted automatically
+ * are referenced weakly by their links). A link does not keep the changes of its map, which are released together with the map.
+ *
+ * The link also holds the depth and the version ID of the map, which are read-only properties of the map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {number} depth The depth of the map in its version tree.
+ * @param {ImmutableLinkedOrderedMap|null} ancestorMap The map from which the map has been forked or null if the map is the root of its version tree.
+ * @param {WeakRef|null} mapRef A weak reference to the map if the link must not keep the map alive, null otherwise.
+ * @return {Object} The link.
+ */
+function makeVersionLink(map, depth, ancestorMap, mapRef) {
+  const link = {
+    depth,
+    versionId: ++lastVersionId,
+    ancestorLink: ancestorMap ? ancestorMap[VERSION_LINK] : null,
+    // Whether the links of some ancestor maps between the link and its ancestor link have been dropped by a compaction.
+    versionsDropped: false,
+  };
+  if (mapRef) {
+    link.mapRef = mapRef;
+  } else {
+    link.map = map;
+  }
+  map[VERSION_LINK] = link;
+  return link;
+}
+
+/**
+ * Gets the map of a version link.
+ *
+ * @param {Object} link The link.
+ * @return {ImmutableLinkedOrderedMap|undefined} The map or "undefined" if it has been garbage collected.
+ */
+function versionLinkMap(link) {
+  return link.mapRef ? link.mapRef.deref() : link.map;
+}
+
+/**
+ * Lazily iterates over the version links of the ancestor maps of a map, including the ones of the maps
+ * which have been garbage collected (used internally).
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @return {Generator} A generator yielding each link, from the link of the parent map up to the link of the root map.
+ */
+function* ancestorVersionLinksIterator(map) {
+  let link = map[VERSION_LINK].ancestorLink;
+  while (link) {
+    yield link;
+    link = link.ancestorLink;
+  }
+}
+
+/**
+ * Gets the nearest ancestor map of a map which has not been garbage collected.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @return {ImmutableLinkedOrderedMap|null} The ancestor map or null if the map is the root of its version tree.
+ */
+function ancestorMapOf(map) {
+  for (const link of ancestorVersionLinksIterator(map)) {
+    const ancestorMap = versionLinkMap(link);
+    if (ancestorMap) {
+      return ancestorMap;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the nearest version link shared by the version links of two maps and the links leading to it from each map.
+ *
+ * The depths of the linked versions are not consecutive once a heap map has been compacted,
+ * so the links of one of the maps are collected beforehand instead of walking up both maps depth by depth.
+ *
+ * @param {ImmutableLinkedOrderedMap} map A map.
+ * @param {ImmutableLinkedOrderedMap} otherMap Another map.
+ * @return {Array|null} A "[links, otherLinks]" pair with the links of each map up to the common link (excluded)
+ *                      starting from the link of the map itself, or null if the maps are not related.
+ */
+function versionLinksToCommonLink(map, otherMap) {
+  const linkPositions = new Map();
+  let link = map[VERSION_LINK];
+  for (let position = 0; link; position++) {
+    linkPositions.set(link, position);
+    link = link.ancestorLink;
+  }
+  const otherLinks = [];
+  let otherLink = otherMap[VERSION_LINK];
+  while (otherLink && !linkPositions.has(otherLink)) {
+    otherLinks.push(otherLink);
+    otherLink = otherLink.ancestorLink;
+  }
+  if (!otherLink) {
+    return null;
+  }
+  const links = [];
+  link = map[VERSION_LINK];
+  while (link !== otherLink) {
+    links.push(link);
+    link = link.ancestorLink;
+  }
+  return [links, otherLinks];
+}
+
+/**
+ * The states of the heap maps which are compacted automatically, keeping weak references to the maps sharing each heap map
+ * and the number of maps which have been garbage collected since the last compaction.
+ *
+ * @type {WeakMap<Object|Map, Object>}
+ */
+const autoCompactHeapMapsStates = new WeakMap();
+
+/**
+ * The minimum number of maps sharing a heap map which have to be garbage collected before compacting the heap map automatically.
+ *
+ * @type {number}
+ */
+const AUTO_COMPACT_MIN_COLLECTED_MAPS = 32;
+
+/**
+ * Registry notified when a map sharing a heap map which is compacted automatically is garbage collected.
+ *
+ * @type {FinalizationRegistry|null}
+ */
+const autoCompactRegistry =
+  typeof FinalizationRegistry !== "undefined" && typeof WeakRef !== "undefined"
+    ? new FinalizationRegistry(onAutoCompactMapCollected)
+    : null;
+
+/**
+ * Tracks a new map if its heap map is compacted automatically.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @return {WeakRef|null} The weak reference to the map or null if its heap map is not compacted automatically.
+ */
+function trackAutoCompactMap(map) {
+  const state = autoCompactHeapMapsStates.get(map.heapMap);
+  if (!state) {
+    return null;
+  }
+  const ref = new WeakRef(map);
+  state.mapsRefs.add(ref);
+  autoCompactRegistry.register(map, { state, ref });
+  return ref;
+}
+
+/**
+ * Called when a map sharing a heap map which is compacted automatically has been garbage collected.
+ *
+ * The heap map is compacted keeping the maps which are still alive once the number of collected maps
+ * reaches the number of alive maps, so that the cost of compacting is amortized.
+ *
+ * @param {Object} heldValue The state of the heap map and the weak reference to the collected map.
+ * @return {undefined}
+ */
+function onAutoCompactMapCollected({ state, ref }) {
+  state.mapsRefs.delete(ref);
+  state.collectedMapsCount++;
+  if (
+    state.collectedMapsCount <
+    Math.max(AUTO_COMPACT_MIN_COLLECTED_MAPS, state.mapsRefs.size)
+  ) {
+    return;
+  }
+  state.collectedMapsCount = 0;
+  const liveMaps = [];
+  for (const mapRef of state.mapsRefs) {
+    const map = mapRef.deref();
+    map && liveMaps.push(map);
+  }
+  liveMaps.length && compactHeapMap(liveMaps[0], liveMaps);
+}
+
+/**
+ * Lazily iterates over the ancestor maps of a map, from its parent map up to the root of the version tree (used internally).
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @return {Generator} A generator yielding each ancestor map.
+ */
+function* mapAncestorsIterator(map) {
+  let current = map.ancestorMap;
+  while (current) {
+    yield current;
+    current = current.ancestorMap;
+  }
+}
+
+/**
+ * Tests whether a map is an ancestor of another map in the version tree (used internally).
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {*} other The other map.
+ * @return {boolean} True if the map is an ancestor of the other map, false otherwise (including when they are the same map).
+ */
+function isAncestorMapOf(map, other) {
+  if (!ImmutableLinkedOrderedMap.isMap(other) || other.depth <= map.depth) {
+    return false;
+  } else if (
+    map.mode === ImmutableLinkedOrderedMapMode.MULTIWAY &&
+    other.mode === ImmutableLinkedOrderedMapMode.MULTIWAY &&
+    map.heapMap === other.heapMap
+  ) {
+    // Versions of maps sharing the same heap map already encode their ancestry.
+    return isAncestorVersionOfDescendantVersion(map.version, other.version);
+  }
+  const link = map[VERSION_LINK];
+  for (const ancestorMap of mapAncestorsIterator(other)) {
+    if (ancestorMap[VERSION_LINK] === link) {
+      return true;
+    } else if (ancestorMap.depth <= map.depth) {
+      return false;
+    }
+  }
+  return false;
+}
+
 /**
  * Hydrates a map.
  *
- * @param {Object} heapMap The heap map is an object which maps a key to a linked ordered map
+ * @param {Object|Map} heapMap The heap map is an object (or a native "Map") which maps a key to a linked ordered map
  *                         which in turn maps a depth of the version tree to a stack
  *                         (another linked oredered map used as a stack) of all the maps with that depth
  *                         with the first map being the last created map for that depth.
  * @param {number|undefined} depth The depth of the version tree.
  * @param {number|undefined} length The length of the map.
- * @param {string} keyPropName Name of the property to use for the keys of the map.
+ * @param {string|Array<string>|Function} keyPropName Name of the property to use for the keys of the map.
  * @param {number} mode The mode of the map (a value of the enum-like object "ImmutableLinkedOrderedMapMode").
  * @param {Object|undefined} head Head of the map.
  * @param {Object|undefined} tail Tail of the map.
+ * @param {Object|undefined} orderTree The root node of the persistent order tree of the map.
+ * @param {ImmutableLinkedOrderedMap|undefined} ancestorMap The map from which the map has been forked.
+ * @param {boolean|undefined} useNativeMap Whether the heap map is a native "Map" instead of a plain object.
+ * @param {boolean|undefined} reversed Whether the map is a reversed view of its nodes
+ *                                     (i.e. its order follows the links of the nodes the other way round).
  * @return {undefined}
  */
 function hydrate({
@@ -368,21 +744,35 @@ function hydrate({
   length,
   keyPropName,
   mode,
+  useNativeMap,
   head,
   tail,
+  orderTree,
   ancestorMap,
+  reversed,
 } = {}) {
   prop(this, "heapMap", () => heapMap);
-  this.depth = depth || 0;
   this.length = length || 0;
   this.keyPropName = keyPropName;
   prop(this, "mode", () => mode);
+  prop(this, "useNativeMap", () => !!useNativeMap);
   this.head = head || null;
   this.tail = tail || null;
-  this.ancestorMap = ancestorMap || null;
+  this.orderTree = orderTree || null;
+  prop(this, "autoCompact", () => autoCompactHeapMapsStates.has(heapMap));
+  // A map which heap map is compacted automatically is referenced by its link through the weak reference tracking it.
+  makeVersionLink(
+    this,
+    depth || 0,
+    ancestorMap || null,
+    trackAutoCompactMap(this)
+  );
+  ancestorMap && addChildMap(ancestorMap, this);
+  this.reversed = !!reversed;
   this.shouldNextForEachBreak = false;
   this.forEachNextFn = void 0;
   this.change = null;
+  this.changeRecords = NO_CHANGE_RECORDS;
   this[MAP_TAG] = MAP_TAG_VALUE;
 }
 
@@ -406,6 +796,199 @@ function isOrphanNode(node) {
   return node.isOrphanNode;
 }
 
+/**
+ * Gets the direction of the links of the nodes which corresponds to a direction in the order of a map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {string} direction The direction in the order of the map, either "previous" or "next".
+ * @return {string} The direction of the links, which is the opposite one if the map is reversed.
+ */
+function linkDirection(map, direction) {
+  if (!map.reversed) {
+    return direction;
+  }
+  return direction === "next" ? "previous" : "next";
+}
+
+/**
+ * Converts a position in the order of a map to a position in its order tree and vice versa.
+ *
+ * The order tree keeps the order of the links of the nodes, therefore positions are mirrored if the map is reversed.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {number} index The position.
+ * @return {number} The converted position.
+ */
+function orderTreePosition(map, index) {
+  return map.reversed ? map.length - 1 - index : index;
+}
+
+/**
+ * Gets the entry of a key from the heap map of a map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {*} key The key.
+ * @return {*} The entry of the heap map for the given key or "undefined" if the key has never been added to the heap map.
+ */
+function heapMapGet(map, key) {
+  const { heapMap } = map;
+  return map.useNativeMap ? heapMap.get(key) : heapMap[key];
+}
+
+/**
+ * Sets the entry of a key of the heap map of a map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {*} key The key.
+ * @param {*} entry The entry of the heap map for the given key.
+ * @return {undefined}
+ */
+function heapMapSet(map, key, entry) {
+  const { heapMap } = map;
+  if (map.useNativeMap) {
+    heapMap.set(key, entry);
+  } else {
+    heapMap[key] = entry;
+  }
+}
+
+/**
+ * Deletes the entry of a key from the heap map of a map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {*} key The key.
+ * @return {undefined}
+ */
+function heapMapDelete(map, key) {
+  const { heapMap } = map;
+  if (map.useNativeMap) {
+    heapMap.delete(key);
+  } else {
+    delete heapMap[key];
+  }
+}
+
+/**
+ * Gets all the keys of the heap map of a map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @return {Array} The keys which have ever been added to the heap map and have not been dropped by a compaction.
+ */
+function heapMapKeys(map) {
+  const { heapMap } = map;
+  return map.useNativeMap ? [...heapMap.keys()] : Object.keys(heapMap);
+}
+
+/**
+ * Creates a new set of keys used to ignore duplicate keys, comparing the keys as the heap map of the given map does.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @return {{has: Function, add: Function}} The set of keys.
+ */
+function newKeysSet(map) {
+  if (map.useNativeMap) {
+    return new Set();
+  }
+  // No prototype, so that keys like "toString" or "__proto__" do not resolve to inherited properties.
+  const keysMap = Object.create(null);
+  return {
+    has: key => !!keysMap[key],
+    add: key => {
+      keysMap[key] = true;
+    },
+  };
+}
+
+/**
+ * Creates a new mutable map of keys to values used internally, comparing the keys as the heap map of the given map does.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @return {{has: Function, get: Function, set: Function}} The map of keys to values.
+ */
+function newKeysMap(map) {
+  if (map.useNativeMap) {
+    return new Map();
+  }
+  // No prototype, so that keys like "toString" or "__proto__" do not resolve to inherited properties.
+  const keysMap = Object.create(null);
+  return {
+    has: key => Object.prototype.hasOwnProperty.call(keysMap, key),
+    get: key => keysMap[key],
+    set: (key, value) => {
+      keysMap[key] = value;
+    },
+  };
+}
+
+/**
+ * Groups the entries of a map by the key returned by a callback, in order of first appearance of the groups.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Function} fn A callback function receiving the value, the key and the index of an item and returning the key of its group.
+ * @return {Array} An array of "[groupKey, entries]" pairs, "entries" being the "[key, value]" entries of the group.
+ */
+function groupMapEntries(map, fn) {
+  const groupsMap = newKeysMap(map);
+  const groups = [];
+  map.forEach((value, key, index) => {
+    const groupKey = fn(value, key, index);
+    let group = groupsMap.get(groupKey);
+    if (!group) {
+      group = [groupKey, []];
+      groupsMap.set(groupKey, group);
+      groups.push(group);
+    }
+    group[1].push([key, value]);
+  });
+  return groups;
+}
+
+/**
+ * Tests whether two keys are the same key for the given map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {*} key A key.
+ * @param {*} otherKey Another key.
+ * @return {boolean} True if the keys are the same, false otherwise.
+ */
+function isSameKey(map, key, otherKey) {
+  if (map.useNativeMap) {
+    // "SameValueZero".
+    return key === otherKey || (key !== key && otherKey !== otherKey);
+  }
+  return key + "" === otherKey + "";
+}
+
+/**
+ * Lazily iterates over the nodes of a map, one node at a time (used internally).
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Function} fn A function which will receive each node and whose return value will be yielded.
+ * @param {boolean} [reversed] An optional boolean indicating whether to iterate in reverse order (starting
+ *                             from the tail node). The default is to iterate starting from the head node.
+ * @return {Generator} A generator yielding the value returned by "fn" for each node of the map.
+ */
+function* mapNodesIterator(map, fn, reversed = false) {
+  let current;
+  let nextNodeDirection;
+  if (reversed) {
+    current = map.tail;
+    nextNodeDirection = "previous";
+  } else {
+    current = map.head;
+    nextNodeDirection = "next";
+  }
+
+  while (current) {
+    yield fn(current);
+    current = ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
+      map,
+      current,
+      nextNodeDirection
+    );
+  }
+}
+
 /**
  * Creates a new lazy map which appends its initial items only when the map is used for the very first time
  * (by calling a method, accessing or setting one of its properties).
@@ -422,6 +1005,14 @@ function newLazyMap(map, initialItems = []) {
       appendInitialItemsToMap(map, initialItems);
     },
   });
+  // The lazy map and the map it proxies are the same version (sharing the same link),
+  // which is known to the client code as the lazy map.
+  const link = map[VERSION_LINK];
+  if (link.mapRef) {
+    link.mapRef = new WeakRef(lazyMap);
+  } else {
+    link.map = lazyMap;
+  }
   return lazyMap;
 }
 
@@ -436,7 +1027,7 @@ function newLazyMap(map, initialItems = []) {
 function appendInitialItemsToMap(map, items = []) {
   const { mode, keyPropName } = map;
 
-  const keysMap = {};
+  const keysSet = newKeysSet(map);
   const length = items.length;
   if (length) {
     // There's at least one element.
@@ -458,7 +1049,8 @@ function appendInitialItemsToMap(map, items = []) {
     map.tail = newTail;
 
     // The tail does not change.
-    keysMap[tailKey] || (map.length++ && (keysMap[tailKey] = true));
+    map.length++;
+    keysSet.add(tailKey);
 
     if (length > 1) {
       // There are at least two items.
@@ -468,14 +1060,15 @@ function appendInitialItemsToMap(map, items = []) {
       for (let i = length - 2; i >= 0; i--) {
         const item = items[i];
         const { key, value } = keyValueForItem(keyPropName, item);
-        if (!keysMap[key]) {
+        if (!keysSet.has(key)) {
           const node = ImmutableLinkedOrderedMapForMode[
             mode
           ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
           ImmutableLinkedOrderedMapForMode[mode].updateHeapMap(map, node);
           ImmutableLinkedOrderedMapForMode[mode].bindNodes(map, node, lastNode);
           lastNode = node;
-          map.length++ && (keysMap[key] = true);
+          map.length++;
+          keysSet.add(key);
         }
       }
 
@@ -496,30 +1089,109 @@ function appendInitialItemsToMap(map, items = []) {
         );
       }
     }
+    updateMapOrderTree(map, [], [map.head]);
   }
 }
 
 /**
- * Gets the key and the value of an item.
+ * Gets the key of an item given the key property name of a map.
  *
- * @param {string} keyPropName The name of the key property to use for the items of the map.
+ * @param {string|Array<string>|Function} keyPropName The name of the key property to use for the items of the map,
+ *                                                    a dotted path, an array of property names or a function returning the key.
  * @param {Object} item An item.
- * @return {Object} An object with a "key" and a "value" property.
+ * @return {*} The key or "undefined" if the item does not have a key.
  */
-function keyValueForItem(keyPropName, item) {
-  let key;
-  let value;
-  if (item) {
-    key = item[keyPropName];
-    if (typeof key !== "undefined") {
-      value = item;
-    } else {
-      for (const prop in item) {
-        key = prop;
-        break;
-      }
-      value = item[key];
-    }
+function keyOfItem(keyPropName, item) {
+  if (item[ENTRY_TAG]) {
+    return item.key;
+  } else if (typeof keyPropName === "function") {
+    return keyPropName(item);
+  } else if (Array.isArray(keyPropName)) {
+    // Composite key. Serializing the values as JSON keeps it stable and unambiguous.
+    const values = keyPropName.map(propName => item[propName]);
+    return values.some(value => typeof value === "undefined")
+      ? void 0
+      : JSON.stringify(values);
+  } else if (
+    keyPropName.indexOf(".") === -1 ||
+    // A property which name contains dots takes precedence over the path.
+    keyPropName in Object(item)
+  ) {
+    return item[keyPropName];
+  }
+
+  // Dotted path.
+  let value = item;
+  for (const propName of keyPropName.split(".")) {
+    if (value === null || typeof value !== "object") {
+      return void 0;
+    }
+    value = value[propName];
+  }
+  return value;
+}
+
+/**
+ * Wraps a key and a value into an entry item, which is mapped as is regardless of its shape.
+ *
+ * @param {*} key The key.
+ * @param {*} value The value.
+ * @return {Object} The entry item.
+ */
+function makeEntryItem(key, value) {
+  return {
+    [ENTRY_TAG]: true,
+    key,
+    value,
+  };
+}
+
+/**
+ * Converts "[key, value]" entries to entry items.
+ *
+ * @param {Array|Iterable} entries The entries.
+ * @return {Array<Object>} The entry items.
+ */
+function entriesToItems(entries) {
+  return Array.from(entries, ([key, value]) => makeEntryItem(key, value));
+}
+
+/**
+ * Gets the key and the value of an item.
+ *
+ * @param {string|Array<string>|Function} keyPropName The name of the key property to use for the items of the map
+ *                                                    (see "keyOfItem").
+ * @param {Object} item An item.
+ * @return {Object} An object with a "key" and a "value" property.
+ * @throws {TypeError} If the key property name is a function or an array of property names and the key of the item is "undefined".
+ */
+function keyValueForItem(keyPropName, item) {
+  if (item && item[ENTRY_TAG]) {
+    return {
+      key: item.key,
+      value: item.value,
+    };
+  }
+
+  let key;
+  let value;
+  if (item) {
+    key = keyOfItem(keyPropName, item);
+    if (typeof key !== "undefined" || typeof keyPropName !== "string") {
+      // Items of maps with a composite or a computed key are always mapped as a whole.
+      value = item;
+    } else {
+      for (const prop in item) {
+        key = prop;
+        break;
+      }
+      value = item[key];
+    }
+  }
+  if (typeof key === "undefined" && typeof keyPropName !== "string") {
+    throw new TypeError(
+      `ImmutableLinkedOrderedMap type error: The key of an item cannot be "undefined" (the key property name of the map is a function or a composite key)`
+    );
   }
   return {
     key,
@@ -528,1230 +1200,4784 @@ function keyValueForItem(keyPropName, item) {
 }
 
 /**
- * Stores a change on a map.
+ * Open drafts of "withMutations" mapped to the changes and to the change records applied to each one of them so far.
+ *
+ * @type {WeakMap}
+ */
+const draftMapsChanges = new WeakMap();
+
+/**
+ * @type {Array<Object>}
+ */
+const NO_CHANGE_RECORDS = Object.freeze([]);
+
+/**
+ * Stores a change on a map, together with its normalized change records.
+ *
+ * Changes of an open draft of "withMutations" are collected and stored together when the draft is closed.
  *
  * @param {ImmutableLinkedOrderedMap} map The map.
  * @param {string} changeLabel The label identifying the change.
  * @param {*} [payload] The optional payload of the change.
+ * @param {Array<Object>} [changeRecords] The change records, if already normalized (e.g. the ones collected by a draft).
  * @return {undefined}
  */
-function mapChange(map, changeLabel, payload = true) {
-  map.change = {
+function mapChange(map, changeLabel, payload = true, changeRecords = void 0) {
+  const change = {
     [changeLabel]: payload,
   };
+  changeRecords = changeRecords || mapChangeRecords(map, changeLabel, payload);
+  const draftMapChanges = draftMapsChanges.get(map);
+  if (draftMapChanges) {
+    draftMapChanges.changes.push(change);
+    draftMapChanges.changeRecords.push(...changeRecords);
+  } else {
+    map.change = change;
+    map.changeRecords = Object.freeze(changeRecords);
+  }
 }
 
 /**
- * @type {boolean}
+ * Gets the position of a node in a map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Object} node The node.
+ * @return {number} The position of the node (0-based).
  */
-let isFork = false;
+function mapIndexOfNode(map, node) {
+  return orderTreePosition(
+    map,
+    orderTreeIndexOf(map.orderTree, node.orderLabel)
+  );
+}
 
 /**
- * Forks a new map from an existent one, hydrating it as needed.
+ * Makes a new immutable change record.
  *
- * @param {ImmutableLinkedOrderedMap} map The map from which to fork.
- * @return {ImmutableLinkedOrderedMap} The new forked map instance.
+ * @param {string} operation The operation ("insert", "update", "remove", "move", "empty" or "reverse").
+ * @param {*} [key] The key.
+ * @param {*} [previousValue] The value of the key before the operation, or "undefined" if the key was missing.
+ * @param {*} [value] The value of the key after the operation, or "undefined" if the key has been removed.
+ * @param {Object} [position] The position of the key.
+ * @return {Object} The change record.
  */
-function forkMap(map) {
-  isFork = true;
-  const newMap = newMapFromMode(map.mode);
-  isFork = false;
-  hydrate.call(newMap, {
-    heapMap: map.heapMap,
-    depth: map.depth,
-    length: map.length,
-    keyPropName: map.keyPropName,
-    mode: map.mode,
-    head: map.head,
-    tail: map.tail,
-    ancestorMap: map,
+function makeChangeRecord(
+  operation,
+  key = void 0,
+  previousValue = void 0,
+  value = void 0,
+  position = void 0
+) {
+  return Object.freeze({
+    operation,
+    key,
+    previousValue,
+    value,
+    position: position && Object.freeze(position),
   });
-  newMap.depth++;
+}
 
-  const fork = ImmutableLinkedOrderedMapForMode[map.mode].fork;
-  fork && fork(map, newMap);
-  return newMap;
+/**
+ * Makes a change record for a key of a map after the operation which changed it.
+ *
+ * The position has the index of the key once the whole operation has been applied and the key right before it
+ * ("afterKey", meaningless if the index is 0), so that the records of an operation can be replayed one after the other
+ * positioning each key right after its "afterKey".
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map after the operation.
+ * @param {string} operation The operation ("insert", "update" or "move").
+ * @param {*} key The key.
+ * @param {*} previousValue The value of the key before the operation.
+ * @return {Object} The change record.
+ */
+function makeMapKeyChangeRecord(map, operation, key, previousValue) {
+  const node = ImmutableLinkedOrderedMapForMode[map.mode].lookup(map, key);
+  const index = mapIndexOfNode(map, node);
+  return makeChangeRecord(
+    operation,
+    node.element.key,
+    previousValue,
+    node.element.value,
+    {
+      index,
+      afterKey:
+        index > 0
+          ? orderTreeNodeAt(map.orderTree, orderTreePosition(map, index - 1))
+              .key
+          : void 0,
+    }
+  );
 }
 
 /**
- * Adds an orphan node with "undefined" as a value to the given map for the given key.
+ * Normalizes a change stored on a map to a list of change records.
+ *
+ * Records of removed keys come first, the other ones follow in the order of their positions,
+ * which is the order in which they can be replayed: removing a key, and then inserting or moving each key right after the key
+ * before it ("position.afterKey") or at the head of the map if its index is 0, leads to the map after the change.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map after the change.
+ * @param {string} changeLabel The label identifying the change.
+ * @param {*} payload The payload of the change.
+ * @return {Array<Object>} The change records.
+ */
+function mapChangeRecords(map, changeLabel, payload) {
+  const records = [];
+  const removedRecords = [];
+  if (changeLabel === "set" || changeLabel === "insert") {
+    for (const { key } of payload.inserted) {
+      records.push(makeMapKeyChangeRecord(map, "insert", key));
+    }
+    for (const { key, previousValue } of payload.updated) {
+      records.push(makeMapKeyChangeRecord(map, "update", key, previousValue));
+    }
+    for (const { key, previousValue } of payload.relocated || []) {
+      records.push(makeMapKeyChangeRecord(map, "move", key, previousValue));
+    }
+  } else if (changeLabel === "replace") {
+    const {
+      oldKey,
+      key,
+      wasInserted,
+      wasUpdated,
+      previousValue,
+      previousValueForKey,
+      oldIndex,
+    } = payload;
+    if (oldIndex >= 0 && !isSameKey(map, oldKey, key)) {
+      removedRecords.push(
+        makeChangeRecord("remove", oldKey, previousValue, void 0, {
+          index: oldIndex,
+        })
+      );
+      if (previousValueForKey === NOT_SET) {
+        records.push(makeMapKeyChangeRecord(map, "insert", key));
+      } else if (previousValueForKey !== payload.value) {
+        records.push(
+          makeMapKeyChangeRecord(map, "update", key, previousValueForKey)
+        );
+      }
+    } else if (wasInserted) {
+      records.push(makeMapKeyChangeRecord(map, "insert", key));
+    } else if (wasUpdated) {
+      records.push(
+        makeMapKeyChangeRecord(
+          map,
+          "update",
+          key,
+          oldIndex >= 0 ? previousValue : previousValueForKey
+        )
+      );
+    }
+  } else if (changeLabel === "unset") {
+    removedRecords.push(
+      makeChangeRecord("remove", payload.key, payload.value, void 0, {
+        index: payload.index,
+      })
+    );
+  } else if (changeLabel === "move") {
+    const keys =
+      payload.position === "swap"
+        ? [payload.key, payload.targetKey]
+        : [payload.key];
+    for (const key of keys) {
+      // The value of a moved key does not change.
+      const node = ImmutableLinkedOrderedMapForMode[map.mode].lookup(map, key);
+      records.push(
+        makeMapKeyChangeRecord(map, "move", key, node.element.value)
+      );
+    }
+  } else if (changeLabel === "empty" || changeLabel === "reverse") {
+    records.push(makeChangeRecord(changeLabel));
+  }
+  return removedRecords.concat(
+    records.sort((a, b) => a.position.index - b.position.index)
+  );
+}
+
+/**
+ * Default comparator used to sort maps, ordering values in ascending order
+ * using the relational operators (i.e. numbers are not compared as strings).
+ *
+ * @param {*} a A value.
+ * @param {*} b Another value.
+ * @return {number} A negative number if "a" comes before "b", a positive number if "a" comes after "b", 0 otherwise.
+ */
+function defaultComparator(a, b) {
+  return a > b ? 1 : a < b ? -1 : 0;
+}
+
+/**
+ * Reorders the entries of a map given a comparator of its nodes, keeping the order of the entries which compare equal.
  *
  * @param {ImmutableLinkedOrderedMap} map The map.
- * @param {string|number} key The key.
- * @return {undefined}
+ * @param {Function} compareNodes A function comparing two nodes of the map.
+ * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the given map if the order is already correct.
  */
-function addImmutableLinkedOrderedMapOrphanNode(map, key) {
-  const newNode = ImmutableLinkedOrderedMapForMode[
-    map.mode
-  ].makeImmutableLinkedOrderedMapNode(map, null, null, key, void 0);
-  newNode.isOrphanNode = true;
-  ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+function sortMap(map, compareNodes) {
+  const nodes = Array.from(mapNodesIterator(map, node => node));
+  const sortedNodes = nodes
+    .map((node, index) => ({ node, index }))
+    .sort((a, b) => compareNodes(a.node, b.node) || a.index - b.index);
+  if (sortedNodes.every(({ index }, i) => index === i)) {
+    // The order is already correct.
+    return map;
+  }
+  return map.withMutations(draft => {
+    draft.empty();
+    draft.setEntries(
+      sortedNodes.map(({ node }) => [node.element.key, node.element.value])
+    );
+  });
 }
 
 /**
- * @type {boolean}
+ * Creates a new map from scratch with the same key property name, mode and key storage of another map.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Array} [initialEntries] The initial entries of the new map.
+ * @return {ImmutableLinkedOrderedMap} The new immutable linked ordered map.
  */
-let creatingNew = false;
+function newMapLike(map, initialEntries = []) {
+  return new ImmutableLinkedOrderedMap({
+    keyPropName: map.keyPropName,
+    mode: map.mode,
+    useNativeMap: map.useNativeMap,
+    autoCompact: map.autoCompact,
+    initialEntries,
+  });
+}
 
 /**
- * Base class of an immutable linked ordered map.
+ * Creates a new map with the entries of a map between two positions, as "Array.prototype.slice" does.
  *
- * This is the only class exposed to the code of the client using this library.
- * Internally it uses the factory function "newImmutableLinkedOrderedMap"
- * to return the correct subclass given the passed options.
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {number} start The start position (included). A negative position counts back from the tail of the map.
+ * @param {number|undefined} end The end position (excluded). A negative position counts back from the tail of the map.
+ *                               Defaults to the length of the map.
+ * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the given map if all of its entries are in the slice.
  */
-class ImmutableLinkedOrderedMap {
-  /**
-   * Constructor.
-   *
-   * @constructor
-   *
-   * @param {Object} options Options.
-   */
-  constructor(options) {
-    if (isFork) {
-      return;
+function sliceMap(map, start, end) {
+  const { length } = map;
+  const clamp = index => Math.min(Math.max(index, 0), length);
+  start = clamp(normalizeIndex(start, length));
+  end =
+    typeof end === "undefined" ? length : clamp(normalizeIndex(end, length));
+  if (start <= 0 && end >= length) {
+    // All the entries are in the slice.
+    return map;
+  }
+
+  const entries = [];
+  if (start < end) {
+    // The order tree finds the first node of the slice in logarithmic time.
+    let node = ImmutableLinkedOrderedMapForMode[map.mode].lookup(
+      map,
+      orderTreeNodeAt(map.orderTree, orderTreePosition(map, start)).key
+    );
+    while (entries.length < end - start) {
+      entries.push([node.element.key, node.element.value]);
+      node = ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
+        map,
+        node,
+        "next"
+      );
     }
-    if (!creatingNew) {
-      creatingNew = true;
-      const instance = newImmutableLinkedOrderedMap(options);
-      return instance;
-    } else {
-      creatingNew = false;
-      return this;
+  }
+  return newMapLike(map, entries);
+}
+
+/**
+ * Counts the leading entries of a map for which a predicate returns a truthy value.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Function} fn The predicate, receiving the value, the key and the index of an item.
+ * @return {number} The number of leading entries.
+ */
+function countLeadingMapEntries(map, fn) {
+  let count = 0;
+  for (const node of mapNodesIterator(map, node => node)) {
+    if (!fn(node.element.value, node.element.key, count)) {
+      break;
     }
+    count++;
   }
+  return count;
+}
 
-  /**
-   * Getter for "Symbol.toStringTag" used for "Object.prototype.toString".
-   */
-  get [Symbol.toStringTag]() {
-    return this.constructor.name;
+/**
+ * Finds the first item of a map for which a predicate returns a truthy value, stopping as soon as it is found.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Function} fn The predicate, receiving the value, the key and the index of an item.
+ * @param {boolean} reversed Whether to loop in reverse order (starting from the tail node).
+ * @return {Object|null} An object with the "key", the "value" and the "index" of the item found, or null if there isn't one.
+ */
+function findMapItem(map, fn, reversed) {
+  let found = null;
+  map.forEach((value, key, index) => {
+    if (fn(value, key, index)) {
+      found = {
+        key,
+        value,
+        index,
+      };
+      return false;
+    }
+  }, reversed);
+  return found;
+}
+
+/**
+ * Tests whether a value is a plain object or an array, which nested path operations may step into when they are allowed to.
+ *
+ * @param {*} value The value.
+ * @return {boolean} True if the value is a plain object or an array, false otherwise.
+ */
+function isPlainObjectOrArray(value) {
+  if (Array.isArray(value)) {
+    return true;
+  } else if (!value || typeof value !== "object") {
+    return false;
   }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
 
-  /**
-   * Sets a value or multiple values and returns a new updated version of this map
-   * with the new values set.
-   *
-   * The same map instance will be returned if for the given item or all the given items
-   * the values at their respective keys are the same (using the triple equality operator "===").
-   *
-   * @param {Object|Array} items An object representing the item to set or an array of items to set (same structure as for the the "initialItems" option
-   *                             when creating a new map from scratch).
-   * @param {boolean} prependMissing If set to true and the item is not in the map, it will be prepended instead of being appended.
-   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
-   */
-  set(items, prependMissing = false) {
-    const itemsIsArray = Array.isArray(items);
-    if (
-      (itemsIsArray &&
-        // items is an empty array.
-        !items.length) ||
-      // items is either a non-empty array or it's not an array.
-      // If it's falsy, then return this same map.
-      !items
-    ) {
-      // No valid item/items provided.
-      return this;
-    } else if (
-      // If it's not falsy and is not an array, wrap it in an array.
-      !itemsIsArray
-    ) {
-      items = [items];
+/**
+ * Gets the value at a key of a container of a nested path (a map or, if allowed, a plain object or an array).
+ *
+ * @param {*} container The container.
+ * @param {*} key The key.
+ * @param {boolean} plainObjects Whether plain objects and arrays are containers.
+ * @return {*} The value or "NOT_SET" if the container is not a container or if it does not have the key.
+ */
+function containerValue(container, key, plainObjects) {
+  if (ImmutableLinkedOrderedMap.isMap(container)) {
+    return container.has(key) ? container.get(key) : NOT_SET;
+  } else if (plainObjects && isPlainObjectOrArray(container)) {
+    return Object.prototype.hasOwnProperty.call(container, key)
+      ? container[key]
+      : NOT_SET;
+  }
+  return NOT_SET;
+}
+
+/**
+ * Updates the value at a nested path of a container, creating the missing intermediate maps.
+ *
+ * @param {*} container The container (a map or, if allowed, a plain object or an array), or "NOT_SET" if it is missing.
+ * @param {Array} path The path.
+ * @param {number} i The index of the key of the path of the container.
+ * @param {Function} updater The updater receiving the current value at the path.
+ * @param {*} notSetValue The value given to the updater if the path is missing.
+ * @param {ImmutableLinkedOrderedMap} parentMap The closest map containing the container, used to create the missing intermediate maps.
+ * @param {boolean} plainObjects Whether plain objects and arrays are containers.
+ * @return {*} The updated container or the same container if nothing has changed
+ *             ("NOT_SET" if the container is missing and the updater has returned "notSetValue").
+ * @throws {TypeError} If a value along the path is not a container.
+ */
+function updateInContainer(
+  container,
+  path,
+  i,
+  updater,
+  notSetValue,
+  parentMap,
+  plainObjects
+) {
+  if (i === path.length) {
+    if (container === NOT_SET) {
+      const newValue = updater(notSetValue);
+      // The path stays missing if the updater returns "notSetValue".
+      return newValue === notSetValue ? NOT_SET : newValue;
     }
+    return updater(container);
+  }
 
-    // Initially, assume that all items exist in the map, therefore there isn't a new version yet.
-    let map;
-    let justForked = false;
-    const inserted = [];
-    const updated = [];
-    const keysMap = {};
+  const key = path[i];
+  const isMap = ImmutableLinkedOrderedMap.isMap(container);
+  if (
+    container !== NOT_SET &&
+    !isMap &&
+    !(plainObjects && isPlainObjectOrArray(container))
+  ) {
+    throw new TypeError(
+      `ImmutableLinkedOrderedMap type error: Cannot step into the value at the key "${String(
+        path[i - 1]
+      )}" of the path`
+    );
+  }
+  const value = containerValue(container, key, plainObjects);
+  const newValue = updateInContainer(
+    value,
+    path,
+    i + 1,
+    updater,
+    notSetValue,
+    isMap ? container : parentMap,
+    plainObjects
+  );
+  if (newValue === value) {
+    // Nothing has changed (or the path is still missing).
+    return container;
+  } else if (container === NOT_SET) {
+    // Missing intermediate map.
+    return newMapLike(parentMap, [[key, newValue]]);
+  } else if (isMap) {
+    return container.setEntry(key, newValue);
+  } else if (Array.isArray(container)) {
+    const newContainer = container.slice();
+    newContainer[key] = newValue;
+    return newContainer;
+  }
+  return {
+    ...container,
+    [key]: newValue,
+  };
+}
 
-    let i = items.length - 1;
-    const towards = 0;
-    let nodes;
-    let appendOperationOldTail;
-    let lastPrepend;
-    let loopEnd;
-    const updateI = () => i--;
-    const valid = () => i >= towards;
-    const updateNodesBinding = ({ map, newNode, newNext }) => {
-      ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-        map,
-        newNode,
-        newNext
-      );
-    };
-    // eslint-disable-next-line @typescript-eslint/no-empty-function
-    loopEnd = () => {}; // No-op.
-    if (!prependMissing) {
-      // Append missing.
-      let firstPrepend = true;
-      nodes = (map, newNode) => {
-        // Append.
-        let ret;
-        if (firstPrepend) {
-          // Store old tail before first appending operation.
-          firstPrepend = false;
-          if (map.tail !== null) {
-            appendOperationOldTail = map.tail;
-          }
-          map.tail = newNode;
-          ret = false;
-        } else {
-          ret = {
-            newNext: lastPrepend,
-          };
-        }
-        lastPrepend = newNode;
-        return ret;
-      };
-      loopEnd = () => {
-        if (lastPrepend) {
-          if (map.head === null) {
-            map.head = lastPrepend;
-          }
-          if (appendOperationOldTail) {
-            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-              map,
-              appendOperationOldTail,
-              lastPrepend
-            );
-          }
-        }
-      };
-    } else {
-      // Prepend missing.
-      nodes = (map, newNode) => {
-        // Prepend.
-        const oldHead = map.head;
-        map.head = newNode;
-        return {
-          newNext: oldHead,
-        };
-      };
+/**
+ * Unsets the value at a nested path of a container.
+ *
+ * @param {*} container The container (a map or, if allowed, a plain object or an array).
+ * @param {Array} path The path.
+ * @param {number} i The index of the key of the path of the container.
+ * @param {boolean} plainObjects Whether plain objects and arrays are containers.
+ * @return {*} The updated container or the same container if nothing has changed (e.g. if the path is missing).
+ */
+function unsetInContainer(container, path, i, plainObjects) {
+  const key = path[i];
+  const value = containerValue(container, key, plainObjects);
+  if (value === NOT_SET) {
+    // Missing path.
+    return container;
+  }
+
+  const isMap = ImmutableLinkedOrderedMap.isMap(container);
+  if (i === path.length - 1) {
+    if (isMap) {
+      return container.unsetKey(key);
+    } else if (Array.isArray(container)) {
+      const newContainer = container.slice();
+      newContainer.splice(key, 1);
+      return newContainer;
     }
-    for (; valid(); updateI()) {
-      const item = items[i];
-      const { key, value } = keyValueForItem(this.keyPropName, item);
-      if (keysMap[key]) {
-        // Duplicate key, ignore.
-        continue;
-      }
-      keysMap[key] = true;
+    const { [key]: unsetValue, ...newContainer } = container;
+    return newContainer;
+  }
 
-      const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
-        this,
-        key
-      );
+  const newValue = unsetInContainer(value, path, i + 1, plainObjects);
+  if (newValue === value) {
+    // Nothing has changed.
+    return container;
+  } else if (isMap) {
+    return container.setEntry(key, newValue);
+  } else if (Array.isArray(container)) {
+    const newContainer = container.slice();
+    newContainer[key] = newValue;
+    return newContainer;
+  }
+  return {
+    ...container,
+    [key]: newValue,
+  };
+}
 
-      if (!node) {
-        // Key is missing, either a new tail or a new head is needed.
-        map =
-          (map && ((justForked = false) || map)) ||
-          ((justForked = true) && forkMap(this));
-        const newNode = ImmutableLinkedOrderedMapForMode[
-          map.mode
-        ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
-        ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+/**
+ * Combines the first of the given maps with all the other ones within a single new version of the first map.
+ *
+ * @param {Array<ImmutableLinkedOrderedMap>} maps The maps.
+ * @param {Function} combine A function receiving the draft of the first map and another map, applying the combination.
+ * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the first map if nothing has changed.
+ */
+function combineMaps(maps, combine) {
+  const [map, ...others] = maps;
+  if (!map) {
+    throw new TypeError(
+      `ImmutableLinkedOrderedMap type error: At least one map is required`
+    );
+  }
+  return map.withMutations(draft => {
+    for (const other of others) {
+      combine(draft, other);
+    }
+  });
+}
 
-        if (map.tail === null && prependMissing) {
-          // Initially (i.e. for the first element), the tail is the head when we are prepending.
-          map.tail = newNode;
-          map.head = newNode;
-        } else {
-          const nodesRet = nodes(map, newNode);
-          if (nodesRet) {
-            const { newNext } = nodesRet;
-            updateNodesBinding({ map, newNode, newNext });
-          }
-        }
+/**
+ * Splits the arguments of a static n-ary method combining maps into the maps and the trailing options object, if any.
+ *
+ * @param {Array} args The arguments.
+ * @return {Array} A "[maps, options]" pair.
+ */
+function splitCombineMapsOptions(args) {
+  const last = args[args.length - 1];
+  if (
+    last &&
+    typeof last === "object" &&
+    !ImmutableLinkedOrderedMap.isMap(last)
+  ) {
+    return [args.slice(0, -1), last];
+  }
+  return [args, {}];
+}
 
-        map.length++;
-        inserted.unshift({
-          key,
-          value,
-        });
-      } else if (node.element.value !== value) {
-        // Existent key, but value is different.
-        map =
-          (map && (justForked = false)) ||
-          map ||
-          ((justForked = true) && forkMap(this));
+/**
+ * Gets the keys which may have been changed (inserted, updated, removed or moved) by a change stored on a map.
+ *
+ * @param {Object|null} change The change stored on a map (see "mapChange").
+ * @return {Array|null} The changed keys or null if they cannot be determined (e.g. for an "empty" change).
+ */
+function changedKeysOfMapChange(change) {
+  if (!change) {
+    return null;
+  }
+  const pluckKeys = entries => entries.map(({ key }) => key);
+  if (change.set) {
+    return pluckKeys(change.set.inserted).concat(pluckKeys(change.set.updated));
+  } else if (change.replace) {
+    return [change.replace.oldKey, change.replace.key];
+  } else if (change.unset) {
+    return [change.unset.key];
+  } else if (change.move) {
+    return change.move.position === "swap"
+      ? [change.move.key, change.move.targetKey]
+      : [change.move.key];
+  } else if (change.insert) {
+    return pluckKeys(change.insert.inserted).concat(
+      pluckKeys(change.insert.updated),
+      pluckKeys(change.insert.relocated)
+    );
+  } else if (change.withMutations) {
+    let keys = [];
+    for (const draftChange of change.withMutations) {
+      const draftChangeKeys = changedKeysOfMapChange(draftChange);
+      if (!draftChangeKeys) {
+        return null;
+      }
+      keys = keys.concat(draftChangeKeys);
+    }
+    return keys;
+  }
+  return null;
+}
 
-        const previous =
-          (!justForked &&
-            ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
-              map,
-              node,
-              "previous"
-            )) ||
-          ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
-            this,
-            node,
-            "previous"
-          );
+/**
+ * Gets the keys which may differ between two maps whose versions are related through their ancestor maps
+ * (i.e. which share the same heap map and have a common ancestor map).
+ *
+ * @param {ImmutableLinkedOrderedMap} map A map.
+ * @param {ImmutableLinkedOrderedMap} otherMap Another map.
+ * @return {Array|null} The keys which may differ, or null if the maps are not related, if the changed keys cannot be determined
+ *                      or if there are more changed keys than items in the given map (a full comparison would be faster).
+ */
+function changedKeysBetweenRelatedMaps(map, otherMap) {
+  if (
+    map.heapMap !== otherMap.heapMap ||
+    // Maps in lightweight mode are mutated in place, their ancestor maps cannot be trusted.
+    map.mode === ImmutableLinkedOrderedMapMode.LIGHTWEIGHT
+  ) {
+    return null;
+  }
 
-        const next =
-          (!justForked &&
-            ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
-              map,
-              node,
-              "next"
-            )) ||
-          ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
-            this,
-            node,
-            "next"
-          );
+  const linksToCommonLink = versionLinksToCommonLink(map, otherMap);
+  if (!linksToCommonLink) {
+    // Not related.
+    return null;
+  }
+  let keys = [];
+  for (const link of linksToCommonLink[0].concat(linksToCommonLink[1])) {
+    const linkMap = versionLinkMap(link);
+    if (!linkMap || link.versionsDropped) {
+      // The changes of a version in between are not known anymore.
+      return null;
+    }
+    const changedKeys = changedKeysOfMapChange(linkMap.change);
+    if (!changedKeys) {
+      return null;
+    }
+    keys = keys.concat(changedKeys);
+    if (keys.length > map.length) {
+      return null;
+    }
+  }
+  return keys;
+}
 
-        const newNode = ImmutableLinkedOrderedMapForMode[
-          map.mode
-        ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
-        ImmutableLinkedOrderedMapForMode[this.mode].updateHeapMap(map, newNode);
+/**
+ * Finds the positions of the items of a heaviest strictly increasing subsequence of numbers in "O(n log n)" time,
+ * i.e. the increasing subsequence with the greatest sum of the weights of its items.
+ *
+ * @param {Array<number>} values The numbers, which must be distinct.
+ * @param {Array<number>} weights The weight of each number.
+ * @return {Array<boolean>} An array telling for each position whether its number is part of the subsequence.
+ */
+function heaviestIncreasingSubsequence(values, weights) {
+  const { length } = values;
+  const ranks = [];
+  values
+    .map((value, i) => i)
+    .sort((a, b) => values[a] - values[b])
+    .forEach((i, rank) => (ranks[i] = rank + 1));
+
+  // Fenwick tree keeping, for each prefix of ranks, the position of the item ending the heaviest subsequence.
+  const tree = new Array(length + 1).fill(-1);
+  const totals = [];
+  const predecessors = [];
+  const isHeavier = (i, j) => j < 0 || (i >= 0 && totals[i] > totals[j]);
+  for (let i = 0; i < length; i++) {
+    let predecessor = -1;
+    for (let rank = ranks[i] - 1; rank > 0; rank -= rank & -rank) {
+      if (isHeavier(tree[rank], predecessor)) {
+        predecessor = tree[rank];
+      }
+    }
+    predecessors[i] = predecessor;
+    totals[i] = weights[i] + (predecessor >= 0 ? totals[predecessor] : 0);
+    for (let rank = ranks[i]; rank <= length; rank += rank & -rank) {
+      if (isHeavier(i, tree[rank])) {
+        tree[rank] = i;
+      }
+    }
+  }
 
-        // Check for head.
-        if (previous !== null) {
-          // There's a previous node, "node" is not a head.
-          ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-            map,
-            previous,
-            newNode
-          );
-        } else {
-          // "node" was a head. Update head.
-          map.head = newNode;
-        }
+  const inSubsequence = values.map(() => false);
+  let last = -1;
+  for (let i = 0; i < length; i++) {
+    if (isHeavier(i, last)) {
+      last = i;
+    }
+  }
+  for (let i = last; i >= 0; i = predecessors[i]) {
+    inSubsequence[i] = true;
+  }
+  return inSubsequence;
+}
 
-        // Check for tail.
-        if (next !== null) {
-          // There's a next node, "node" is not a tail.
-          ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-            map,
-            newNode,
-            next
-          );
-        } else if (appendOperationOldTail) {
-          // Tail has been updated during the first append operation.
-          appendOperationOldTail = newNode;
-        } else {
-          // "node" was a tail. Update tail.
-          map.tail = newNode;
-        }
+/**
+ * Computes the moved keys of a diff given the keys which are in both maps.
+ *
+ * Consecutive keys which are also consecutive in the other map form runs and the keys of the runs
+ * of the longest sequence keeping its relative order are not moved. Runs are never split, as there always is
+ * a longest sequence taking either all of the keys of a run or none of them, therefore the moved keys
+ * are the same whether the keys are given one by one or as runs.
+ *
+ * @param {ImmutableLinkedOrderedMap} otherMap The other map.
+ * @param {Array<Object>} commonParts The keys which are in both maps sorted by "oldIndex", each one being either the entry of a key
+ *                                    with its "key", "value", "oldIndex" and "index" properties, or a run of keys which have
+ *                                    not been changed between related maps with its "oldIndex", "index" and "count" properties
+ *                                    (the entries of such keys are made only if they are moved).
+ * @return {Array<Object>} The moved entries, sorted by "index".
+ */
+function movedDiffEntries(otherMap, commonParts) {
+  const runs = [];
+  for (const part of commonParts) {
+    const count = part.count || 1;
+    const run = runs[runs.length - 1];
+    if (run && part.index === run.index + run.count) {
+      run.count += count;
+      run.parts.push(part);
+    } else {
+      runs.push({
+        index: part.index,
+        count,
+        parts: [part],
+      });
+    }
+  }
 
-        updated.unshift({
-          key,
+  const inSubsequence = heaviestIncreasingSubsequence(
+    runs.map(({ index }) => index),
+    runs.map(({ count }) => count)
+  );
+  const moved = [];
+  runs.forEach((run, i) => {
+    if (inSubsequence[i]) {
+      return;
+    }
+    for (const part of run.parts) {
+      if (!part.count) {
+        moved.push(part);
+        continue;
+      }
+      for (let offset = 0; offset < part.count; offset++) {
+        const index = part.index + offset;
+        const value = otherMap.at(index);
+        moved.push({
+          key: otherMap.keyAt(index),
+          oldValue: value,
           value,
+          oldIndex: part.oldIndex + offset,
+          index,
         });
       }
     }
-    loopEnd();
+  });
+  return moved.sort((a, b) => a.index - b.index);
+}
 
-    if (!map) {
-      // Nothing has changed.
-      return this;
-    } else {
-      // Store the change on the new map and return it.
-      mapChange(map, "set", {
-        inserted,
-        updated,
-        prependMissing,
-      });
-      return map;
+/**
+ * Computes the runs of the keys which have not been changed between two related maps.
+ *
+ * The keys which have not been changed keep their relative order, therefore the n-th one of them in a map
+ * is the n-th one of them in the other map. Its position is n plus the number of changed positions before it.
+ *
+ * @param {number} count The number of keys which have not been changed.
+ * @param {Array<number>} oldIndexes The positions of the changed keys in the map (removed or in both maps), sorted.
+ * @param {Array<number>} indexes The positions of the changed keys in the other map (inserted or in both maps), sorted.
+ * @return {Array<Object>} The runs, as "{ oldIndex, index, count }" objects.
+ */
+function unchangedDiffRuns(count, oldIndexes, indexes) {
+  // The number of keys which have not been changed before each changed position.
+  const oldAnchors = oldIndexes.map((oldIndex, i) => oldIndex - i);
+  const anchors = indexes.map((index, i) => index - i);
+  const bounds = [
+    ...new Set([0, count, ...oldAnchors, ...anchors].filter(n => n <= count)),
+  ].sort((a, b) => a - b);
+
+  const runs = [];
+  let oldShift = 0;
+  let shift = 0;
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const start = bounds[i];
+    while (oldShift < oldAnchors.length && oldAnchors[oldShift] <= start) {
+      oldShift++;
     }
+    while (shift < anchors.length && anchors[shift] <= start) {
+      shift++;
+    }
+    runs.push({
+      oldIndex: start + oldShift,
+      index: start + shift,
+      count: bounds[i + 1] - start,
+    });
   }
+  return runs;
+}
 
-  /**
-   * Replaces an item in the map, optionally appending or prepending it if "oldKey" is missing.
-   *
-   * The same map instance will be returned if for the given item
-   * the value at "oldKey" is the same (using the triple equality operator "===").
-   * Beware that in this case, "oldKey" will remain in the map even if the given "item" is the same
-   * but was mutated and now has a different key!
-   * Also, the same map instance will be returned if "oldKey" is missing and "addMissing" is true
-   * and there's already the same item at the key of "item".
-   *
-   * Note that if the key of "item" is different from "oldKey" and it already exists in the map,
-   * then the value of item will replace the underlying value for that same key
-   * if the values are different (using the triple equality operator "===")
-   * or a new untouched forked map will be returned.
-   * This is to prevent duplicate keys in the map.
-   *
-   * @param {string|number} oldKey The old key to replace.
-   * @param {Object} item The item (same structure as for the the "initialItems" option
-   *                      when creating a new map from scratch).
-   * @param {boolean} addMissing If set to true and "oldKey" is missing, will append the item if missing.
-   *                             If the key of the item already exists in the map, the value at that key will be replaced
-   *                             if the values are different (using the triple equality operator "===")
-   * @param {boolean} prependMissing If set to true with "addMissing" set to true and "oldKey" is missing,
-   *                                 will prepend the item, instead of appending it.
-   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
-   */
-  replace(oldKey, item, addMissing = false, prependMissing = false) {
-    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
-      this,
-      oldKey
+/**
+ * Computes the diff between two maps looking only at the keys changed between their related versions.
+ *
+ * The keys which have not been changed keep their values and their relative order in both maps,
+ * therefore only their runs are needed to find out the moved keys.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {ImmutableLinkedOrderedMap} otherMap The other map.
+ * @param {Array} changedKeys The keys changed between the two maps (see "changedKeysBetweenRelatedMaps").
+ * @return {Object} The diff (see "diff").
+ */
+function diffRelatedMaps(map, otherMap, changedKeys) {
+  const inserted = [];
+  const updated = [];
+  const removed = [];
+  const commonEntries = [];
+  const keysSet = newKeysSet(map);
+  for (const key of changedKeys) {
+    if (keysSet.has(key)) {
+      // Duplicate key, ignore.
+      continue;
+    }
+    keysSet.add(key);
+    const node = ImmutableLinkedOrderedMapForMode[map.mode].lookup(map, key);
+    const otherNode = ImmutableLinkedOrderedMapForMode[otherMap.mode].lookup(
+      otherMap,
+      key
     );
-    let map;
-    let wasInserted = false;
-    let wasUpdated = false;
-    let hadExistentNodeForKey = false;
-    let key;
-    let value;
-
-    if (!node) {
-      // The old key does not exist.
-      if (addMissing) {
-        // Add missing key with new item.
-        map = map || forkMap(this);
-
-        // This needs to happen before updating the heap map so that all modes work!
-        const existentNodeForKey = ImmutableLinkedOrderedMapForMode[
-          this.mode
-        ].lookup(this, key);
+    if (!node && !otherNode) {
+      // Inserted and removed in between.
+      continue;
+    } else if (!node) {
+      inserted.push({
+        key: otherNode.element.key,
+        value: otherNode.element.value,
+        index: otherMap.indexOf(key),
+      });
+      continue;
+    } else if (!otherNode) {
+      removed.push({
+        key: node.element.key,
+        oldValue: node.element.value,
+        oldIndex: map.indexOf(key),
+      });
+      continue;
+    }
+    const entry = {
+      key: otherNode.element.key,
+      oldValue: node.element.value,
+      value: otherNode.element.value,
+      oldIndex: map.indexOf(key),
+      index: otherMap.indexOf(key),
+    };
+    if (entry.oldValue !== entry.value) {
+      updated.push(entry);
+    }
+    commonEntries.push(entry);
+  }
 
-        const keyValue = keyValueForItem(map.keyPropName, item);
-        key = keyValue.key;
-        value = keyValue.value;
+  const byOldIndex = (a, b) => a.oldIndex - b.oldIndex;
+  const byIndex = (a, b) => a.index - b.index;
+  const unchangedRuns = unchangedDiffRuns(
+    map.length - removed.length - commonEntries.length,
+    removed
+      .concat(commonEntries)
+      .map(({ oldIndex }) => oldIndex)
+      .sort((a, b) => a - b),
+    inserted
+      .concat(commonEntries)
+      .map(({ index }) => index)
+      .sort((a, b) => a - b)
+  );
+  return {
+    inserted: inserted.sort(byIndex),
+    updated: updated.sort(byIndex),
+    removed: removed.sort(byOldIndex),
+    moved: movedDiffEntries(
+      otherMap,
+      commonEntries.concat(unchangedRuns).sort(byOldIndex)
+    ),
+  };
+}
 
-        const newNode = ImmutableLinkedOrderedMapForMode[
-          map.mode
-        ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
-        ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+/**
+ * Computes the diff between two maps by scanning all of their entries.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {ImmutableLinkedOrderedMap} otherMap The other map.
+ * @return {Object} The diff (see "diff").
+ */
+function diffMaps(map, otherMap) {
+  const inserted = [];
+  const updated = [];
+  const removed = [];
+  const commonEntries = [];
+  const oldEntries = newKeysMap(map);
+  map.forEach((value, key, oldIndex) => {
+    oldEntries.set(key, {
+      value,
+      oldIndex,
+      inOtherMap: false,
+    });
+  });
+  otherMap.forEach((value, key, index) => {
+    if (!oldEntries.has(key)) {
+      inserted.push({
+        key,
+        value,
+        index,
+      });
+      return;
+    }
+    const oldEntry = oldEntries.get(key);
+    oldEntry.inOtherMap = true;
+    const entry = {
+      key,
+      oldValue: oldEntry.value,
+      value,
+      oldIndex: oldEntry.oldIndex,
+      index,
+    };
+    if (entry.oldValue !== entry.value) {
+      updated.push(entry);
+    }
+    commonEntries.push(entry);
+  });
+  map.forEach((oldValue, key, oldIndex) => {
+    if (!oldEntries.get(key).inOtherMap) {
+      removed.push({
+        key,
+        oldValue,
+        oldIndex,
+      });
+    }
+  });
+  return {
+    inserted,
+    updated,
+    removed,
+    moved: movedDiffEntries(
+      otherMap,
+      commonEntries.sort((a, b) => a.oldIndex - b.oldIndex)
+    ),
+  };
+}
 
-        if (existentNodeForKey) {
-          hadExistentNodeForKey = true;
-          if (existentNodeForKey.element.value !== value) {
-            if (existentNodeForKey === map.head) {
-              map.head = newNode;
-            }
-            if (existentNodeForKey === map.tail) {
-              map.tail = newNode;
-            }
-            const existentNodeForKeyPrevious = ImmutableLinkedOrderedMapForMode[
-              this.mode
-            ].findMapNodeByDirection(this, existentNodeForKey, "previous");
-            const existentNodeForKeyNext = ImmutableLinkedOrderedMapForMode[
-              this.mode
-            ].findMapNodeByDirection(this, existentNodeForKey, "next");
-            if (existentNodeForKeyPrevious !== null) {
-              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                map,
-                existentNodeForKeyPrevious,
-                newNode
-              );
-            }
-            if (existentNodeForKeyNext !== null) {
-              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                map,
-                newNode,
-                existentNodeForKeyNext
-              );
-            }
-            wasUpdated = true;
-          }
-        }
+/**
+ * Makes a new node which replaces the node of an existent key at the same position inherit its order label.
+ *
+ * This function must be called before updating the heap map with the new node.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Object} itemNode The new linked node of the item.
+ * @return {undefined}
+ */
+function inheritNodeOrderLabel(map, itemNode) {
+  if (isOrphanNode(itemNode) || itemNode.orderLabel) {
+    return;
+  }
+  const node = ImmutableLinkedOrderedMapForMode[map.mode].lookup(
+    map,
+    itemNode.element.key
+  );
+  if (node) {
+    itemNode.orderLabel = node.orderLabel;
+  }
+}
 
-        if (!hadExistentNodeForKey) {
-          map.length++;
-          wasInserted = true;
-          if (!prependMissing) {
-            // Append new item.
-            const newPrevious = map.tail;
-            map.tail = newNode;
+/**
+ * Updates the order tree of a map after a mutation operation.
+ *
+ * The order tree keeps the order labels of the nodes of the map and allows index-based access in logarithmic time.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Array<Object>} removedNodes The nodes which have been removed from the map.
+ * @param {Array<Object>} insertedNodes The nodes which have been positioned in the map and do not have an order label yet.
+ *                                      Nodes which already have an order label are ignored.
+ * @return {undefined}
+ */
+function updateMapOrderTree(map, removedNodes = [], insertedNodes = []) {
+  let orderTree = map.orderTree;
+  for (const node of removedNodes) {
+    orderTree = removeFromOrderTree(orderTree, node.orderLabel);
+  }
 
-            if (newPrevious === null) {
-              map.head = map.tail;
-            } else {
-              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                map,
-                newPrevious,
-                newNode
-              );
-            }
-          } else {
-            // Prepend new item.
-            const newNext = map.head;
-            map.head = newNode;
+  const findMapNodeByDirection =
+    ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection;
+  // Labels follow the order of the links of the nodes, which is the opposite one if the map is reversed.
+  const previousDirection = linkDirection(map, "previous");
+  const nextDirection = linkDirection(map, "next");
+  for (const node of insertedNodes) {
+    if (node.orderLabel) {
+      // Already labeled with a previous run of nodes.
+      continue;
+    }
 
-            if (newNext === null) {
-              map.tail = map.head;
-            } else {
-              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                map,
-                newNode,
-                newNext
-              );
-            }
-          }
-        }
+    // Find the whole run of consecutive nodes without a label around this node.
+    let first = node;
+    let previous;
+    while (
+      (previous = findMapNodeByDirection(map, first, previousDirection)) &&
+      !previous.orderLabel
+    ) {
+      first = previous;
+    }
+    const run = [];
+    let current = first;
+    do {
+      run.push(current);
+      current = findMapNodeByDirection(map, current, nextDirection);
+    } while (current && !current.orderLabel);
+
+    const previousLabel = previous ? previous.orderLabel : null;
+    const nextLabel = current ? current.orderLabel : null;
+    let label;
+    if (previousLabel) {
+      label = previousLabel;
+      for (const runNode of run) {
+        label = orderLabelBetween(label, nextLabel);
+        runNode.orderLabel = label;
       }
     } else {
-      // The old key exists.
-      const keyValue = keyValueForItem(this.keyPropName, item);
-      key = keyValue.key;
-      value = keyValue.value;
+      // Labeling backwards from the next label keeps prepended labels short.
+      label = nextLabel;
+      for (let i = run.length - 1; i >= 0; i--) {
+        label = orderLabelBetween(null, label);
+        run[i].orderLabel = label;
+      }
+    }
+    orderTree = insertIntoOrderTree(
+      orderTree,
+      run.map(runNode => ({
+        label: runNode.orderLabel,
+        key: runNode.element.key,
+      }))
+    );
+  }
+  map.orderTree = orderTree;
+}
 
-      if (node.element.value !== value) {
-        // Node already exists, it must be overridden in the new map.
-        map = map || forkMap(this);
+/**
+ * Normalizes a relative index as "Array.prototype.at" does.
+ *
+ * @param {number} index The index. A negative index counts back from the tail of the map.
+ * @param {number} length The length of the map.
+ * @return {number} The normalized index, which may still be out of bounds.
+ */
+function normalizeIndex(index, length) {
+  index = Math.trunc(index) || 0;
+  return index < 0 ? index + length : index;
+}
 
-        const newNode = ImmutableLinkedOrderedMapForMode[
-          map.mode
-        ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
+/**
+ * @type {boolean}
+ */
+let isFork = false;
 
-        const previous = ImmutableLinkedOrderedMapForMode[
-          this.mode
-        ].findMapNodeByDirection(this, node, "previous");
-        const next = ImmutableLinkedOrderedMapForMode[
-          this.mode
-        ].findMapNodeByDirection(this, node, "next");
+/**
+ * Forks a new map from an existent one, hydrating it as needed.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map from which to fork.
+ * @return {ImmutableLinkedOrderedMap} The new forked map instance.
+ */
+function forkMap(map) {
+  if (draftMapsChanges.has(map)) {
+    // An open draft of "withMutations" is mutated in place.
+    return map;
+  }
 
-        if (oldKey + "" !== key + "") {
-          // "oldKey" differs from "key".
-          addImmutableLinkedOrderedMapOrphanNode(map, oldKey);
+  isFork = true;
+  const newMap = newMapFromMode(map.mode);
+  isFork = false;
+  hydrate.call(newMap, {
+    heapMap: map.heapMap,
+    depth: map.depth + 1,
+    length: map.length,
+    keyPropName: map.keyPropName,
+    mode: map.mode,
+    useNativeMap: map.useNativeMap,
+    head: map.head,
+    tail: map.tail,
+    orderTree: map.orderTree,
+    ancestorMap: map,
+    reversed: map.reversed,
+  });
 
-          // This needs to happen before updating the heap map so that all modes work!
-          const existentNodeForKey = ImmutableLinkedOrderedMapForMode[
-            this.mode
-          ].lookup(this, key);
-          if (existentNodeForKey) {
-            hadExistentNodeForKey = true;
-            if (existentNodeForKey.element.value !== value) {
-              if (existentNodeForKey === map.head) {
-                map.head = newNode;
-              }
-              if (existentNodeForKey === map.tail) {
-                map.tail = newNode;
-              }
-              const existentNodeForKeyPrevious = ImmutableLinkedOrderedMapForMode[
-                this.mode
-              ].findMapNodeByDirection(this, existentNodeForKey, "previous");
-              const existentNodeForKeyNext = ImmutableLinkedOrderedMapForMode[
-                this.mode
-              ].findMapNodeByDirection(this, existentNodeForKey, "next");
-              if (existentNodeForKeyPrevious !== null) {
-                if (node !== existentNodeForKeyPrevious) {
-                  ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                    map,
-                    existentNodeForKeyPrevious,
-                    newNode
-                  );
-                } else if (previous !== null) {
-                  ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                    map,
-                    previous,
-                    newNode
-                  );
-                } else {
-                  map.head = newNode;
-                }
-              }
-              if (existentNodeForKeyNext !== null) {
-                if (node !== existentNodeForKeyNext) {
-                  ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                    map,
-                    newNode,
-                    existentNodeForKeyNext
-                  );
-                } else if (next !== null) {
-                  ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                    map,
-                    newNode,
-                    next
-                  );
-                } else {
-                  map.tail = newNode;
-                }
-              }
-            }
-            map.length--;
-          }
-        }
+  const fork = ImmutableLinkedOrderedMapForMode[map.mode].fork;
+  fork && fork(map, newMap);
+  return newMap;
+}
 
-        if (!hadExistentNodeForKey) {
-          if (previous === null) {
-            // It's a head.
-            map.head = newNode;
-            if (next === null) {
-              // It's also a tail.
-              map.tail = newNode;
-            } else {
-              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-                map,
-                newNode,
-                next
-              );
-            }
-          } else if (next === null) {
-            // It's a tail and has a previous node.
-            map.tail = newNode;
-            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-              map,
-              previous,
-              newNode
-            );
-          } else {
-            // It's a node in between.
-            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-              map,
-              previous,
-              newNode
-            );
-            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-              map,
-              newNode,
-              next
-            );
-          }
-        }
+/**
+ * Adds an orphan node with "undefined" as a value to the given map for the given key.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {string|number} key The key.
+ * @return {undefined}
+ */
+function addImmutableLinkedOrderedMapOrphanNode(map, key) {
+  const newNode = ImmutableLinkedOrderedMapForMode[
+    map.mode
+  ].makeImmutableLinkedOrderedMapNode(map, null, null, key, void 0);
+  newNode.isOrphanNode = true;
+  ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+}
 
-        ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
-        wasUpdated = true;
+/**
+ * Compacts the heap map of a map keeping only what the given live maps need (see "compact").
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Array<ImmutableLinkedOrderedMap>} liveMaps The other maps which are still in use.
+ *                                                    Maps which do not share the heap map of the map are ignored.
+ * @return {undefined}
+ */
+function compactHeapMap(map, liveMaps) {
+  // Live maps are identified by their version link, as a lazy map and the map it proxies are the same version.
+  const liveMapsByLink = new Map([[map[VERSION_LINK], map]]);
+  for (const liveMap of liveMaps) {
+    if (
+      ImmutableLinkedOrderedMap.isMap(liveMap) &&
+      liveMap.heapMap === map.heapMap &&
+      !liveMapsByLink.has(liveMap[VERSION_LINK])
+    ) {
+      liveMapsByLink.set(liveMap[VERSION_LINK], liveMap);
+    }
+  }
+  ImmutableLinkedOrderedMapForMode[map.mode].compactHeapMap(map, [
+    ...liveMapsByLink.values(),
+  ]);
+
+  // The parent map of a live map becomes its nearest live ancestor map sharing the same heap map
+  // (or its nearest ancestor map which has not been garbage collected, if they have another heap map).
+  // The links of the dropped ancestor maps become unreachable.
+  for (const [link, liveMap] of liveMapsByLink) {
+    let versionsDropped = false;
+    let ancestorLink = link.ancestorLink;
+    for (
+      let ancestorMap;
+      ancestorLink &&
+      (!(ancestorMap = versionLinkMap(ancestorLink)) ||
+        (ancestorMap.heapMap === map.heapMap &&
+          !liveMapsByLink.has(ancestorLink)));
+      ancestorLink = ancestorLink.ancestorLink
+    ) {
+      versionsDropped = true;
+    }
+    if (versionsDropped) {
+      link.ancestorLink = ancestorLink;
+      link.versionsDropped = true;
+      const ancestorMap = ancestorLink && versionLinkMap(ancestorLink);
+      ancestorMap && addChildMap(ancestorMap, liveMap);
+    }
+  }
+}
+
+/**
+ * Compacts the heap map of a map in single or multiway mode, keeping only the entries of the depth maps (of the heap map
+ * and of the links of the nodes) which the lookups of the given live maps resolve to.
+ *
+ * Lookups take the first matching entry of a depth map, therefore dropping the other entries does not change
+ * what the live maps (and the maps which will be forked from them) resolve to.
+ * The keys which none of the live maps has are dropped altogether.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Array<ImmutableLinkedOrderedMap>} liveMaps The live maps sharing the heap map of the map (including the map itself).
+ * @return {undefined}
+ */
+function compactVersionedHeapMap(map, liveMaps) {
+  const {
+    findDepthMapEntry,
+    compactDepthMap,
+  } = ImmutableLinkedOrderedMapForMode[map.mode];
+  const liveEntries = new Map();
+  const markLiveEntry = (liveMap, depthMap) => {
+    const entry = findDepthMapEntry(liveMap, depthMap);
+    if (entry) {
+      const [entriesMap, entryKey] = entry;
+      let entryKeys = liveEntries.get(entriesMap);
+      if (!entryKeys) {
+        entryKeys = new Set();
+        liveEntries.set(entriesMap, entryKeys);
       }
+      entryKeys.add(entryKey);
     }
+    return entry;
+  };
 
-    if (!map) {
-      // Nothing has changed.
-      return this;
+  const keys = heapMapKeys(map);
+  const liveKeys = new Set();
+  const liveNodes = new Set();
+  for (const liveMap of liveMaps) {
+    for (const key of keys) {
+      const entry = markLiveEntry(liveMap, heapMapGet(map, key));
+      if (entry && !isOrphanNode(entry[2])) {
+        liveKeys.add(key);
+      }
+    }
+    for (const node of mapNodesIterator(liveMap, node => node)) {
+      liveNodes.add(node);
+      markLiveEntry(liveMap, node.previous);
+      markLiveEntry(liveMap, node.next);
+    }
+  }
+
+  for (const key of keys) {
+    if (liveKeys.has(key)) {
+      compactDepthMap(heapMapGet(map, key), liveEntries);
     } else {
-      // Store the change on the new map and return it.
-      mapChange(map, "replace", {
-        oldKey,
-        key,
-        value,
-        wasInserted,
-        wasUpdated,
-        hadExistentNodeForKey,
-        prependMissing,
-      });
-      return map;
+      heapMapDelete(map, key);
     }
   }
+  for (const node of liveNodes) {
+    compactDepthMap(node.previous, liveEntries);
+    compactDepthMap(node.next, liveEntries);
+  }
+}
 
-  /**
-   * Unsets a value, multiple values or an item by its key and returns a new updated version of this map
-   * without those value/values.
-   *
-   * The same map instance will be returned if the given key or all the keys of the given items or item do not exist.
-   *
-   * @param {Object|Array|string|number} itemsOrKey An object or an array of objects to unset, or a key to unset.
-   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
-   */
-  unset(itemsOrKey) {
-    const typeOfItemsOrKey = typeof itemsOrKey;
-    if (typeOfItemsOrKey === "number" || typeOfItemsOrKey === "string") {
-      return this.unsetKey(itemsOrKey);
+/**
+ * Removes the entries of a linked ordered map used internally which have not been marked as live.
+ *
+ * @param {LinkedOrderedMap} entriesMap The linked ordered map.
+ * @param {Map<LinkedOrderedMap, Set>} liveEntries The keys of the live entries of each linked ordered map.
+ * @return {undefined}
+ */
+function removeDeadEntries(entriesMap, liveEntries) {
+  const entryKeys = liveEntries.get(entriesMap);
+  for (const entryKey of entriesMap.keys()) {
+    if (!entryKeys || !entryKeys.has(entryKey)) {
+      entriesMap.remove(entryKey);
     }
+  }
+}
 
-    const keyPropName = this.keyPropName;
-    if (Array.isArray(itemsOrKey)) {
-      // eslint-disable-next-line @typescript-eslint/no-this-alias
-      let map = this;
-      for (const item of itemsOrKey) {
-        map = map.unsetKey(item[keyPropName]);
-      }
-      return map;
+/**
+ * Unlinks a node from the current position in a forked map, replacing its neighbour node with a new node if needed.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The forked map.
+ * @param {Object} node The node to unlink. The map must have at least another node.
+ * @return {undefined}
+ */
+function unlinkMapNode(map, node) {
+  const previous = ImmutableLinkedOrderedMapForMode[
+    map.mode
+  ].findMapNodeByDirection(map, node, "previous");
+  const next = ImmutableLinkedOrderedMapForMode[
+    map.mode
+  ].findMapNodeByDirection(map, node, "next");
+  if (previous === null) {
+    // It's a head, its next node becomes the new head.
+    const newHeadNode = ImmutableLinkedOrderedMapForMode[
+      map.mode
+    ].makeImmutableLinkedOrderedMapNode(
+      map,
+      null,
+      null,
+      next.element.key,
+      next.element.value
+    );
+    const nextNext = ImmutableLinkedOrderedMapForMode[
+      map.mode
+    ].findMapNodeByDirection(map, next, "next");
+    ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newHeadNode);
+    map.head = newHeadNode;
+    if (nextNext === null) {
+      // The next node is a tail.
+      map.tail = newHeadNode;
+    } else {
+      ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+        map,
+        newHeadNode,
+        nextNext
+      );
+    }
+  } else if (next === null) {
+    // It's a tail, its previous node becomes the new tail.
+    const newTailNode = ImmutableLinkedOrderedMapForMode[
+      map.mode
+    ].makeImmutableLinkedOrderedMapNode(
+      map,
+      null,
+      null,
+      previous.element.key,
+      previous.element.value
+    );
+    const previousPrevious = ImmutableLinkedOrderedMapForMode[
+      map.mode
+    ].findMapNodeByDirection(map, previous, "previous");
+    ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newTailNode);
+    map.tail = newTailNode;
+    if (previousPrevious === null) {
+      // The previous node is a head.
+      map.head = newTailNode;
+    } else {
+      ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+        map,
+        previousPrevious,
+        newTailNode
+      );
     }
-    return this.unsetKey(itemsOrKey[keyPropName]);
+  } else {
+    // It's a node in between.
+    ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(map, previous, next);
   }
+}
 
-  /**
-   * Unsets an item by its key.
-   *
-   * The same map instance will be returned if the given key does not exist.
-   *
-   * @param {string|number} key The key to unset.
-   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
-   */
-  unsetKey(key) {
-    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
-    let map;
-    let value;
+/**
+ * Links a run of new nodes of a forked map right before or right after a target node.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The forked map.
+ * @param {Object} targetNode The target node.
+ * @param {Array<Object>} newNodes The new nodes, in order.
+ * @param {boolean} after True to link the nodes right after the target node, false to link them right before.
+ * @return {undefined}
+ */
+function linkMapNodesNextTo(map, targetNode, newNodes, after) {
+  const first = newNodes[0];
+  const last = newNodes[newNodes.length - 1];
+  for (let i = 1; i < newNodes.length; i++) {
+    ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+      map,
+      newNodes[i - 1],
+      newNodes[i]
+    );
+  }
+  if (after) {
+    const targetNext = ImmutableLinkedOrderedMapForMode[
+      map.mode
+    ].findMapNodeByDirection(map, targetNode, "next");
+    ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+      map,
+      targetNode,
+      first
+    );
+    if (targetNext === null) {
+      map.tail = last;
+    } else {
+      ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+        map,
+        last,
+        targetNext
+      );
+    }
+  } else {
+    const targetPrevious = ImmutableLinkedOrderedMapForMode[
+      map.mode
+    ].findMapNodeByDirection(map, targetNode, "previous");
+    ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(map, last, targetNode);
+    if (targetPrevious === null) {
+      map.head = first;
+    } else {
+      ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+        map,
+        targetPrevious,
+        first
+      );
+    }
+  }
+}
 
-    if (node) {
-      // Node exists and therefore must be unset in the new map.
-      map = map || forkMap(this);
-      value = node.element.value;
+/**
+ * Replaces a node of a forked map with a new node for the same key at the same position.
+ *
+ * @param {ImmutableLinkedOrderedMap} map The forked map.
+ * @param {Object} node The node to replace.
+ * @param {*} value The new value.
+ * @return {Object} The new node.
+ */
+function replaceMapNodeValue(map, node, value) {
+  const previous = ImmutableLinkedOrderedMapForMode[
+    map.mode
+  ].findMapNodeByDirection(map, node, "previous");
+  const next = ImmutableLinkedOrderedMapForMode[
+    map.mode
+  ].findMapNodeByDirection(map, node, "next");
+  const newNode = ImmutableLinkedOrderedMapForMode[
+    map.mode
+  ].makeImmutableLinkedOrderedMapNode(map, null, null, node.element.key, value);
+  ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+  if (previous === null) {
+    map.head = newNode;
+  } else {
+    ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+      map,
+      previous,
+      newNode
+    );
+  }
+  if (next === null) {
+    map.tail = newNode;
+  } else {
+    ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(map, newNode, next);
+  }
+  return newNode;
+}
 
-      // This new node is an orphan one.
-      // Lookups to it in the context of this new map will lead to "undefined".
-      addImmutableLinkedOrderedMapOrphanNode(map, key);
+/**
+ * Moves an existent key of a map right before or right after another existent key.
+ *
+ * @param {ImmutableLinkedOrderedMap} sourceMap The map.
+ * @param {string|number} key The key to move.
+ * @param {string|number} targetKey The key next to which the key has to be moved.
+ * @param {boolean} after True to move the key right after the target key, false to move it right before.
+ * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the given map if nothing has changed.
+ */
+function moveMapKey(sourceMap, key, targetKey, after) {
+  const node = ImmutableLinkedOrderedMapForMode[sourceMap.mode].lookup(
+    sourceMap,
+    key
+  );
+  const targetNode = ImmutableLinkedOrderedMapForMode[sourceMap.mode].lookup(
+    sourceMap,
+    targetKey
+  );
+  if (!node || !targetNode || node === targetNode) {
+    // Either one of the keys is missing or they are the same key.
+    return sourceMap;
+  }
+  const sibling = ImmutableLinkedOrderedMapForMode[
+    sourceMap.mode
+  ].findMapNodeByDirection(sourceMap, node, after ? "previous" : "next");
+  if (sibling === targetNode) {
+    // The key is already in place.
+    return sourceMap;
+  }
 
-      const previous = ImmutableLinkedOrderedMapForMode[
-        map.mode
-      ].findMapNodeByDirection(this, node, "previous");
-      const next = ImmutableLinkedOrderedMapForMode[
-        map.mode
-      ].findMapNodeByDirection(this, node, "next");
+  const map = forkMap(sourceMap);
+  unlinkMapNode(map, node);
 
-      if (previous === null) {
-        // It's a head that's being removed.
-        if (next === null) {
-          // It's also a tail.
-          map.head = null;
-          map.tail = null;
-          map.length = 0;
-        } else {
-          // It has a next node.
-          const newHeadNode = ImmutableLinkedOrderedMapForMode[
-            map.mode
-          ].makeImmutableLinkedOrderedMapNode(
-            map,
-            null,
-            null,
-            next.element.key,
-            next.element.value
-          );
-          ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(
-            map,
-            newHeadNode
-          );
-          map.head = newHeadNode;
-          const nextNext = ImmutableLinkedOrderedMapForMode[
-            map.mode
-          ].findMapNodeByDirection(this, next, "next");
-          if (nextNext === null) {
-            // The next node is a tail.
-            map.tail = newHeadNode;
-          } else {
-            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-              map,
-              newHeadNode,
-              nextNext
-            );
-          }
-          map.length--;
-        }
-      } else if (next === null) {
-        // It's a tail that's being removed and it has a previous node.
-        const newTailNode = ImmutableLinkedOrderedMapForMode[
-          map.mode
-        ].makeImmutableLinkedOrderedMapNode(
-          map,
-          null,
-          null,
-          previous.element.key,
-          previous.element.value
-        );
-        ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(
+  // Link a new node for the key next to the target node.
+  // The target node needs to be looked up again, as it may have been replaced while unlinking.
+  const newTargetNode = ImmutableLinkedOrderedMapForMode[map.mode].lookup(
+    map,
+    targetKey
+  );
+  const newNode = ImmutableLinkedOrderedMapForMode[
+    map.mode
+  ].makeImmutableLinkedOrderedMapNode(
+    map,
+    null,
+    null,
+    node.element.key,
+    node.element.value
+  );
+  ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+  // The order label of the previous position of the key cannot be kept.
+  newNode.orderLabel = void 0;
+  linkMapNodesNextTo(map, newTargetNode, [newNode], after);
+
+  updateMapOrderTree(map, [node], [newNode]);
+  mapChange(map, "move", {
+    key,
+    targetKey,
+    position: after ? "after" : "before",
+  });
+  return map;
+}
+
+/**
+ * Inserts items right before or right after an existent key of a map.
+ *
+ * @param {ImmutableLinkedOrderedMap} sourceMap The map.
+ * @param {string|number} targetKey The key next to which the items have to be inserted.
+ * @param {Object|Array} items An object representing the item to insert or an array of items to insert.
+ * @param {boolean} after True to insert the items right after the target key, false to insert them right before.
+ * @param {boolean} relocateExisting True to move the items of existent keys next to the target key as well,
+ *                                   false to update them in place.
+ * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the given map if nothing has changed.
+ */
+function insertMapItems(sourceMap, targetKey, items, after, relocateExisting) {
+  const targetNode = ImmutableLinkedOrderedMapForMode[sourceMap.mode].lookup(
+    sourceMap,
+    targetKey
+  );
+  if (!targetNode || !items || (Array.isArray(items) && !items.length)) {
+    // Missing target key or no valid item/items provided.
+    return sourceMap;
+  } else if (!Array.isArray(items)) {
+    items = [items];
+  }
+
+  // As for "set", the last item wins for duplicate keys.
+  const keysSet = newKeysSet(sourceMap);
+  const entries = [];
+  for (let i = items.length - 1; i >= 0; i--) {
+    const { key, value } = keyValueForItem(sourceMap.keyPropName, items[i]);
+    if (keysSet.has(key)) {
+      // Duplicate key, ignore.
+      continue;
+    }
+    keysSet.add(key);
+    const node = ImmutableLinkedOrderedMapForMode[sourceMap.mode].lookup(
+      sourceMap,
+      key
+    );
+    entries.unshift({
+      key,
+      value,
+      node,
+      relocate: !!node && relocateExisting && node !== targetNode,
+    });
+  }
+  const run = entries.filter(({ node, relocate }) => !node || relocate);
+
+  if (
+    entries.every(({ node, value }) => node && node.element.value === value)
+  ) {
+    // All the keys exist with the same values, check whether the run is already in place.
+    let inPlace = true;
+    let sibling = targetNode;
+    const direction = after ? "next" : "previous";
+    for (let i = 0; i < run.length && inPlace; i++) {
+      sibling = ImmutableLinkedOrderedMapForMode[
+        sourceMap.mode
+      ].findMapNodeByDirection(sourceMap, sibling, direction);
+      inPlace = sibling === run[after ? i : run.length - 1 - i].node;
+    }
+    if (inPlace) {
+      // Nothing has changed.
+      return sourceMap;
+    }
+  }
+
+  const map = forkMap(sourceMap);
+  const inserted = [];
+  const updated = [];
+  const relocated = [];
+  const removedNodes = [];
+  const runNodes = [];
+  for (const { key, value, node, relocate } of entries) {
+    if (!node || relocate) {
+      if (relocate) {
+        // The node may have been replaced while unlinking other nodes.
+        const currentNode = ImmutableLinkedOrderedMapForMode[map.mode].lookup(
           map,
-          newTailNode
+          key
         );
-        map.tail = newTailNode;
-        const previousPrevious = ImmutableLinkedOrderedMapForMode[
-          map.mode
-        ].findMapNodeByDirection(this, previous, "previous");
-        if (previousPrevious === null) {
-          // The previous node is a head.
-          map.head = newTailNode;
-        } else {
-          ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-            map,
-            previousPrevious,
-            newTailNode
-          );
-        }
-        map.length--;
+        unlinkMapNode(map, currentNode);
+        removedNodes.push(node);
+        relocated.push({
+          key,
+          value,
+          previousValue: node.element.value,
+        });
       } else {
-        // It's a node in between.
-        ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
-          map,
-          previous,
-          next
-        );
-        map.length--;
+        map.length++;
+        inserted.push({
+          key,
+          value,
+        });
       }
+      const newNode = ImmutableLinkedOrderedMapForMode[
+        map.mode
+      ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
+      ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+      // A relocated key cannot keep the order label of its previous position.
+      newNode.orderLabel = void 0;
+      runNodes.push(newNode);
+    } else if (node.element.value !== value) {
+      // Existent key, updated in place.
+      replaceMapNodeValue(
+        map,
+        ImmutableLinkedOrderedMapForMode[map.mode].lookup(map, key),
+        value
+      );
+      updated.push({
+        key,
+        value,
+        previousValue: node.element.value,
+      });
     }
+  }
 
-    if (!map) {
-      // Nothing has changed.
+  if (runNodes.length) {
+    linkMapNodesNextTo(
+      map,
+      ImmutableLinkedOrderedMapForMode[map.mode].lookup(map, targetKey),
+      runNodes,
+      after
+    );
+  }
+  updateMapOrderTree(map, removedNodes, runNodes);
+  mapChange(map, "insert", {
+    targetKey,
+    position: after ? "after" : "before",
+    inserted,
+    updated,
+    relocated,
+  });
+  return map;
+}
+
+/**
+ * @type {boolean}
+ */
+let creatingNew = false;
+
+/**
+ * Base class of an immutable linked ordered map.
+ *
+ * This is the only class exposed to the code of the client using this library.
+ * Internally it uses the factory function "newImmutableLinkedOrderedMap"
+ * to return the correct subclass given the passed options.
+ */
+class ImmutableLinkedOrderedMap {
+  /**
+   * Constructor.
+   *
+   * @constructor
+   *
+   * @param {Object} options Options.
+   */
+  constructor(options) {
+    if (isFork) {
+      return;
+    }
+    if (!creatingNew) {
+      creatingNew = true;
+      const instance = newImmutableLinkedOrderedMap(options);
+      return instance;
+    } else {
+      creatingNew = false;
+      return this;
+    }
+  }
+
+  /**
+   * Getter for "Symbol.toStringTag" used for "Object.prototype.toString".
+   */
+  get [Symbol.toStringTag]() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Getter for the depth of this map in its version tree (0 for the root of the version tree).
+   *
+   * @return {number} The depth.
+   */
+  get depth() {
+    return this[VERSION_LINK].depth;
+  }
+
+  /**
+   * Getter for the ID identifying this version of the map, unique among all the maps.
+   *
+   * @return {number} The version ID.
+   */
+  get versionId() {
+    return this[VERSION_LINK].versionId;
+  }
+
+  /**
+   * Getter for the map from which this map has been forked (see "parent").
+   *
+   * @return {ImmutableLinkedOrderedMap|null} The ancestor map or null if this map is the root of its version tree.
+   */
+  get ancestorMap() {
+    return ancestorMapOf(this);
+  }
+
+  /**
+   * Sets a value or multiple values and returns a new updated version of this map
+   * with the new values set.
+   *
+   * The same map instance will be returned if for the given item or all the given items
+   * the values at their respective keys are the same (using the triple equality operator "===").
+   *
+   * @param {Object|Array} items An object representing the item to set or an array of items to set (same structure as for the the "initialItems" option
+   *                             when creating a new map from scratch).
+   * @param {boolean} prependMissing If set to true and the item is not in the map, it will be prepended instead of being appended.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  set(items, prependMissing = false) {
+    const itemsIsArray = Array.isArray(items);
+    if (
+      (itemsIsArray &&
+        // items is an empty array.
+        !items.length) ||
+      // items is either a non-empty array or it's not an array.
+      // If it's falsy, then return this same map.
+      !items
+    ) {
+      // No valid item/items provided.
       return this;
+    } else if (
+      // If it's not falsy and is not an array, wrap it in an array.
+      !itemsIsArray
+    ) {
+      items = [items];
+    }
+    // The keys of all the items are resolved beforehand, so that an item without a key throws before anything is forked.
+    const keysValues = items.map(item =>
+      keyValueForItem(this.keyPropName, item)
+    );
+
+    // Initially, assume that all items exist in the map, therefore there isn't a new version yet.
+    let map;
+    let justForked = false;
+    const inserted = [];
+    const updated = [];
+    const insertedNodes = [];
+    const keysSet = newKeysSet(this);
+
+    let i = items.length - 1;
+    const towards = 0;
+    let nodes;
+    let appendOperationOldTail;
+    let lastPrepend;
+    let loopEnd;
+    const updateI = () => i--;
+    const valid = () => i >= towards;
+    const updateNodesBinding = ({ map, newNode, newNext }) => {
+      ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+        map,
+        newNode,
+        newNext
+      );
+    };
+    // eslint-disable-next-line @typescript-eslint/no-empty-function
+    loopEnd = () => {}; // No-op.
+    if (!prependMissing) {
+      // Append missing.
+      let firstPrepend = true;
+      nodes = (map, newNode) => {
+        // Append.
+        let ret;
+        if (firstPrepend) {
+          // Store old tail before first appending operation.
+          firstPrepend = false;
+          if (map.tail !== null) {
+            appendOperationOldTail = map.tail;
+          }
+          map.tail = newNode;
+          ret = false;
+        } else {
+          ret = {
+            newNext: lastPrepend,
+          };
+        }
+        lastPrepend = newNode;
+        return ret;
+      };
+      loopEnd = () => {
+        if (lastPrepend) {
+          if (map.head === null) {
+            map.head = lastPrepend;
+          }
+          if (appendOperationOldTail) {
+            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+              map,
+              appendOperationOldTail,
+              lastPrepend
+            );
+          }
+        }
+      };
     } else {
-      mapChange(map, "unset", {
-        key,
-        value,
-      });
-      return map;
+      // Prepend missing.
+      nodes = (map, newNode) => {
+        // Prepend.
+        const oldHead = map.head;
+        map.head = newNode;
+        return {
+          newNext: oldHead,
+        };
+      };
     }
+    for (; valid(); updateI()) {
+      const { key, value } = keysValues[i];
+      if (keysSet.has(key)) {
+        // Duplicate key, ignore.
+        continue;
+      }
+      keysSet.add(key);
+
+      const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+        this,
+        key
+      );
+
+      if (!node) {
+        // Key is missing, either a new tail or a new head is needed.
+        map =
+          (map && ((justForked = false) || map)) ||
+          ((justForked = true) && forkMap(this));
+        const newNode = ImmutableLinkedOrderedMapForMode[
+          map.mode
+        ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
+        ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+
+        if (map.tail === null && prependMissing) {
+          // Initially (i.e. for the first element), the tail is the head when we are prepending.
+          map.tail = newNode;
+          map.head = newNode;
+        } else {
+          const nodesRet = nodes(map, newNode);
+          if (nodesRet) {
+            const { newNext } = nodesRet;
+            updateNodesBinding({ map, newNode, newNext });
+          }
+        }
+
+        map.length++;
+        inserted.unshift({
+          key,
+          value,
+        });
+        insertedNodes.push(newNode);
+      } else if (node.element.value !== value) {
+        // Existent key, but value is different.
+        map =
+          (map && (justForked = false)) ||
+          map ||
+          ((justForked = true) && forkMap(this));
+
+        const previous =
+          (!justForked &&
+            ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
+              map,
+              node,
+              "previous"
+            )) ||
+          ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
+            this,
+            node,
+            "previous"
+          );
+
+        const next =
+          (!justForked &&
+            ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
+              map,
+              node,
+              "next"
+            )) ||
+          ImmutableLinkedOrderedMapForMode[map.mode].findMapNodeByDirection(
+            this,
+            node,
+            "next"
+          );
+
+        const newNode = ImmutableLinkedOrderedMapForMode[
+          map.mode
+        ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
+        ImmutableLinkedOrderedMapForMode[this.mode].updateHeapMap(map, newNode);
+
+        // Check for head.
+        if (previous !== null) {
+          // There's a previous node, "node" is not a head.
+          ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+            map,
+            previous,
+            newNode
+          );
+        } else {
+          // "node" was a head. Update head.
+          map.head = newNode;
+        }
+
+        // Check for tail.
+        if (next !== null) {
+          // There's a next node, "node" is not a tail.
+          ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+            map,
+            newNode,
+            next
+          );
+        } else if (appendOperationOldTail) {
+          // Tail has been updated during the first append operation.
+          appendOperationOldTail = newNode;
+        } else {
+          // "node" was a tail. Update tail.
+          map.tail = newNode;
+        }
+
+        updated.unshift({
+          key,
+          value,
+          previousValue: node.element.value,
+        });
+      }
+    }
+    loopEnd();
+
+    if (!map) {
+      // Nothing has changed.
+      return this;
+    } else {
+      updateMapOrderTree(map, [], insertedNodes);
+
+      // Store the change on the new map and return it.
+      mapChange(map, "set", {
+        inserted,
+        updated,
+        prependMissing,
+      });
+      return map;
+    }
+  }
+
+  /**
+   * Sets a value at a key and returns a new updated version of this map.
+   *
+   * Unlike "set", the key is given explicitly, so the value may be a primitive or an object of any shape.
+   * The same map instance will be returned if the value at the key is the same (using the triple equality operator "===").
+   *
+   * @param {*} key The key.
+   * @param {*} value The value.
+   * @param {boolean} prependMissing If set to true and the key is not in the map, it will be prepended instead of being appended.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  setEntry(key, value, prependMissing = false) {
+    return this.set(makeEntryItem(key, value), prependMissing);
+  }
+
+  /**
+   * Sets multiple values at their keys and returns a new updated version of this map.
+   *
+   * Unlike "set", the keys are given explicitly, so the values may be primitives or objects of any shape.
+   * The same map instance will be returned if the values at their respective keys are the same (using the triple equality operator "===").
+   *
+   * @param {Array|Iterable} entries The "[key, value]" entries to set (e.g. "[["a", 1], ["b", 2]]" or the entries of another map).
+   * @param {boolean} prependMissing If set to true, missing keys will be prepended instead of being appended.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  setEntries(entries, prependMissing = false) {
+    return this.set(entriesToItems(entries), prependMissing);
+  }
+
+  /**
+   * Gets the value at a nested path, stepping into the values which are maps.
+   *
+   * E.g.:
+   *
+   *     boards.getIn(["board-1", "card-2", "title"], "Untitled", { plainObjects: true })
+   *
+   * @param {Array} path The keys of the path.
+   * @param {*} [notSetValue] The value to return if the path is missing.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.plainObjects] If set to true, plain objects and arrays are stepped into as well (defaults to false).
+   * @return {*} The value at the path or "notSetValue" if the path is missing.
+   */
+  getIn(path, notSetValue = void 0, { plainObjects = false } = {}) {
+    // eslint-disable-next-line @typescript-eslint/no-this-alias
+    let value = this;
+    for (const key of path) {
+      value = containerValue(value, key, plainObjects);
+      if (value === NOT_SET) {
+        return notSetValue;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Sets the value at a nested path and returns a new updated version of this map.
+   *
+   * The missing intermediate maps are created with the same mode and key property name of their parent map.
+   * The same map instance will be returned if the value at the path is the same (using the triple equality operator "===").
+   *
+   * @param {Array} path The keys of the path.
+   * @param {*} value The value.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.plainObjects] If set to true, plain objects and arrays are stepped into (and copied) as well (defaults to false).
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   * @throws {TypeError} If a value along the path is neither a map nor, if allowed, a plain object or an array.
+   */
+  setIn(path, value, options = {}) {
+    // "NOT_SET" never equals the value, which is set even if it is "undefined".
+    return this.updateIn(path, () => value, NOT_SET, options);
+  }
+
+  /**
+   * Updates the value at a nested path with the value returned by an updater function and returns a new updated version of this map.
+   *
+   * The missing intermediate maps are created with the same mode and key property name of their parent map.
+   * The same map instance will be returned if the updater returns the same value (using the triple equality operator "===").
+   * If the path is missing and the updater returns "notSetValue", nothing is set and the same map instance is returned as well.
+   *
+   * @param {Array} path The keys of the path.
+   * @param {Function} updater A function receiving the current value at the path (or "notSetValue" if the path is missing),
+   *                           returning the new value.
+   * @param {*} [notSetValue] The value given to the updater if the path is missing.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.plainObjects] If set to true, plain objects and arrays are stepped into (and copied) as well (defaults to false).
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   * @throws {TypeError} If a value along the path is neither a map nor, if allowed, a plain object or an array.
+   */
+  updateIn(path, updater, notSetValue = void 0, { plainObjects = false } = {}) {
+    if (!path.length) {
+      // Nothing to step into.
+      return this;
+    }
+    return updateInContainer(
+      this,
+      path,
+      0,
+      updater,
+      notSetValue,
+      this,
+      plainObjects
+    );
+  }
+
+  /**
+   * Unsets the value at a nested path and returns a new updated version of this map.
+   *
+   * The same map instance will be returned if the path is missing.
+   *
+   * @param {Array} path The keys of the path.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.plainObjects] If set to true, plain objects and arrays are stepped into (and copied) as well (defaults to false).
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  unsetIn(path, { plainObjects = false } = {}) {
+    if (!path.length) {
+      // Nothing to step into.
+      return this;
+    }
+    return unsetInContainer(this, path, 0, plainObjects);
+  }
+
+  /**
+   * Updates the value of an existent key with the value returned by an updater function
+   * and returns a new updated version of this map.
+   *
+   * The same map instance will be returned if the key is missing or if the updater returns the same value
+   * (using the triple equality operator "===").
+   *
+   * @param {*} key The key.
+   * @param {Function} updater A function receiving the current value as the first argument and the key as the second argument,
+   *                           returning the new value.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  update(key, updater) {
+    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
+    if (!node) {
+      return this;
+    }
+    return this.setEntry(key, updater(node.element.value, key));
+  }
+
+  /**
+   * Updates the value of a key with the value returned by an updater function, adding the key if it is missing,
+   * and returns a new updated version of this map.
+   *
+   * The same map instance will be returned if the key exists and the updater returns the same value
+   * (using the triple equality operator "===").
+   *
+   * @param {*} key The key.
+   * @param {Function} updater A function receiving the current value (or "notSetValue" if the key is missing) as the first argument
+   *                           and the key as the second argument, returning the new value.
+   * @param {*} [notSetValue] The value given to the updater if the key is missing.
+   * @param {boolean} [prependMissing] If set to true and the key is missing, it will be prepended instead of being appended.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  upsert(key, updater, notSetValue = void 0, prependMissing = false) {
+    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
+    return this.setEntry(
+      key,
+      updater(node ? node.element.value : notSetValue, key),
+      prependMissing
+    );
+  }
+
+  /**
+   * Replaces an item in the map, optionally appending or prepending it if "oldKey" is missing.
+   *
+   * The same map instance will be returned if for the given item
+   * the value at "oldKey" is the same (using the triple equality operator "===").
+   * Beware that in this case, "oldKey" will remain in the map even if the given "item" is the same
+   * but was mutated and now has a different key!
+   * Also, the same map instance will be returned if "oldKey" is missing and "addMissing" is true
+   * and there's already the same item at the key of "item".
+   *
+   * Note that if the key of "item" is different from "oldKey" and it already exists in the map,
+   * then the value of item will replace the underlying value for that same key
+   * if the values are different (using the triple equality operator "===")
+   * or a new untouched forked map will be returned.
+   * This is to prevent duplicate keys in the map.
+   *
+   * @param {string|number} oldKey The old key to replace.
+   * @param {Object} item The item (same structure as for the the "initialItems" option
+   *                      when creating a new map from scratch).
+   * @param {boolean} addMissing If set to true and "oldKey" is missing, will append the item if missing.
+   *                             If the key of the item already exists in the map, the value at that key will be replaced
+   *                             if the values are different (using the triple equality operator "===")
+   * @param {boolean} prependMissing If set to true with "addMissing" set to true and "oldKey" is missing,
+   *                                 will prepend the item, instead of appending it.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  replace(oldKey, item, addMissing = false, prependMissing = false) {
+    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+      this,
+      oldKey
+    );
+    let map;
+    let wasInserted = false;
+    let wasUpdated = false;
+    let hadExistentNodeForKey = false;
+    let previousValueForKey = NOT_SET;
+    let key;
+    let value;
+    const oldIndex = node ? mapIndexOfNode(this, node) : -1;
+    const removedNodes = [];
+    const insertedNodes = [];
+
+    if (!node) {
+      // The old key does not exist.
+      if (addMissing) {
+        // Add missing key with new item.
+        map = map || forkMap(this);
+
+        // This needs to happen before updating the heap map so that all modes work!
+        const existentNodeForKey = ImmutableLinkedOrderedMapForMode[
+          this.mode
+        ].lookup(this, key);
+
+        const keyValue = keyValueForItem(map.keyPropName, item);
+        key = keyValue.key;
+        value = keyValue.value;
+
+        const newNode = ImmutableLinkedOrderedMapForMode[
+          map.mode
+        ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
+        ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+        insertedNodes.push(newNode);
+
+        if (existentNodeForKey) {
+          hadExistentNodeForKey = true;
+          previousValueForKey = existentNodeForKey.element.value;
+          if (existentNodeForKey.element.value !== value) {
+            if (existentNodeForKey === map.head) {
+              map.head = newNode;
+            }
+            if (existentNodeForKey === map.tail) {
+              map.tail = newNode;
+            }
+            const existentNodeForKeyPrevious = ImmutableLinkedOrderedMapForMode[
+              this.mode
+            ].findMapNodeByDirection(this, existentNodeForKey, "previous");
+            const existentNodeForKeyNext = ImmutableLinkedOrderedMapForMode[
+              this.mode
+            ].findMapNodeByDirection(this, existentNodeForKey, "next");
+            if (existentNodeForKeyPrevious !== null) {
+              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                map,
+                existentNodeForKeyPrevious,
+                newNode
+              );
+            }
+            if (existentNodeForKeyNext !== null) {
+              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                map,
+                newNode,
+                existentNodeForKeyNext
+              );
+            }
+            wasUpdated = true;
+          }
+        }
+
+        if (!hadExistentNodeForKey) {
+          map.length++;
+          wasInserted = true;
+          if (!prependMissing) {
+            // Append new item.
+            const newPrevious = map.tail;
+            map.tail = newNode;
+
+            if (newPrevious === null) {
+              map.head = map.tail;
+            } else {
+              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                map,
+                newPrevious,
+                newNode
+              );
+            }
+          } else {
+            // Prepend new item.
+            const newNext = map.head;
+            map.head = newNode;
+
+            if (newNext === null) {
+              map.tail = map.head;
+            } else {
+              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                map,
+                newNode,
+                newNext
+              );
+            }
+          }
+        }
+      }
+    } else {
+      // The old key exists.
+      const keyValue = keyValueForItem(this.keyPropName, item);
+      key = keyValue.key;
+      value = keyValue.value;
+
+      if (node.element.value !== value) {
+        // Node already exists, it must be overridden in the new map.
+        map = map || forkMap(this);
+
+        const newNode = ImmutableLinkedOrderedMapForMode[
+          map.mode
+        ].makeImmutableLinkedOrderedMapNode(map, null, null, key, value);
+
+        const previous = ImmutableLinkedOrderedMapForMode[
+          this.mode
+        ].findMapNodeByDirection(this, node, "previous");
+        const next = ImmutableLinkedOrderedMapForMode[
+          this.mode
+        ].findMapNodeByDirection(this, node, "next");
+
+        if (!isSameKey(this, oldKey, key)) {
+          // "oldKey" differs from "key".
+          addImmutableLinkedOrderedMapOrphanNode(map, oldKey);
+          removedNodes.push(node);
+
+          // This needs to happen before updating the heap map so that all modes work!
+          const existentNodeForKey = ImmutableLinkedOrderedMapForMode[
+            this.mode
+          ].lookup(this, key);
+          if (existentNodeForKey) {
+            hadExistentNodeForKey = true;
+            previousValueForKey = existentNodeForKey.element.value;
+            if (existentNodeForKey.element.value !== value) {
+              if (existentNodeForKey === map.head) {
+                map.head = newNode;
+              }
+              if (existentNodeForKey === map.tail) {
+                map.tail = newNode;
+              }
+              const existentNodeForKeyPrevious = ImmutableLinkedOrderedMapForMode[
+                this.mode
+              ].findMapNodeByDirection(this, existentNodeForKey, "previous");
+              const existentNodeForKeyNext = ImmutableLinkedOrderedMapForMode[
+                this.mode
+              ].findMapNodeByDirection(this, existentNodeForKey, "next");
+              if (existentNodeForKeyPrevious !== null) {
+                if (node !== existentNodeForKeyPrevious) {
+                  ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                    map,
+                    existentNodeForKeyPrevious,
+                    newNode
+                  );
+                } else if (previous !== null) {
+                  ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                    map,
+                    previous,
+                    newNode
+                  );
+                } else {
+                  map.head = newNode;
+                }
+              }
+              if (existentNodeForKeyNext !== null) {
+                if (node !== existentNodeForKeyNext) {
+                  ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                    map,
+                    newNode,
+                    existentNodeForKeyNext
+                  );
+                } else if (next !== null) {
+                  ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                    map,
+                    newNode,
+                    next
+                  );
+                } else {
+                  map.tail = newNode;
+                }
+              }
+            }
+            map.length--;
+          }
+        }
+
+        if (!hadExistentNodeForKey) {
+          if (previous === null) {
+            // It's a head.
+            map.head = newNode;
+            if (next === null) {
+              // It's also a tail.
+              map.tail = newNode;
+            } else {
+              ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+                map,
+                newNode,
+                next
+              );
+            }
+          } else if (next === null) {
+            // It's a tail and has a previous node.
+            map.tail = newNode;
+            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+              map,
+              previous,
+              newNode
+            );
+          } else {
+            // It's a node in between.
+            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+              map,
+              previous,
+              newNode
+            );
+            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+              map,
+              newNode,
+              next
+            );
+          }
+        }
+
+        ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNode);
+        insertedNodes.push(newNode);
+        wasUpdated = true;
+      }
+    }
+
+    if (!map) {
+      // Nothing has changed.
+      return this;
+    } else {
+      updateMapOrderTree(map, removedNodes, insertedNodes);
+
+      // Store the change on the new map and return it.
+      mapChange(map, "replace", {
+        oldKey,
+        key,
+        value,
+        wasInserted,
+        wasUpdated,
+        hadExistentNodeForKey,
+        prependMissing,
+        previousValue: node ? node.element.value : void 0,
+        previousValueForKey,
+        oldIndex,
+      });
+      return map;
+    }
+  }
+
+  /**
+   * Unsets a value, multiple values or an item by its key and returns a new updated version of this map
+   * without those value/values.
+   *
+   * The same map instance will be returned if the given key or all the keys of the given items or item do not exist.
+   *
+   * When the map uses a native "Map" (see the "useNativeMap" option), any primitive value (including symbols) is treated as a key.
+   * Object keys must be unset with "unsetKey", as objects are always treated as items.
+   *
+   * @param {Object|Array|string|number|*} itemsOrKey An object or an array of objects to unset, or a key to unset.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  unset(itemsOrKey) {
+    const typeOfItemsOrKey = typeof itemsOrKey;
+    if (
+      typeOfItemsOrKey === "number" ||
+      typeOfItemsOrKey === "string" ||
+      (this.useNativeMap &&
+        (itemsOrKey === null ||
+          (typeOfItemsOrKey !== "object" && typeOfItemsOrKey !== "function")))
+    ) {
+      return this.unsetKey(itemsOrKey);
+    }
+
+    const keyPropName = this.keyPropName;
+    if (Array.isArray(itemsOrKey)) {
+      return this.withMutations(map => {
+        for (const item of itemsOrKey) {
+          map.unsetKey(keyOfItem(keyPropName, item));
+        }
+      });
+    }
+    return this.unsetKey(keyOfItem(keyPropName, itemsOrKey));
+  }
+
+  /**
+   * Unsets an item by its key.
+   *
+   * The same map instance will be returned if the given key does not exist.
+   *
+   * @param {string|number} key The key to unset.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  unsetKey(key) {
+    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
+    let map;
+    let value;
+    let index;
+
+    if (node) {
+      // Node exists and therefore must be unset in the new map.
+      index = mapIndexOfNode(this, node);
+      map = map || forkMap(this);
+      value = node.element.value;
+
+      // This new node is an orphan one.
+      // Lookups to it in the context of this new map will lead to "undefined".
+      addImmutableLinkedOrderedMapOrphanNode(map, key);
+
+      const previous = ImmutableLinkedOrderedMapForMode[
+        map.mode
+      ].findMapNodeByDirection(this, node, "previous");
+      const next = ImmutableLinkedOrderedMapForMode[
+        map.mode
+      ].findMapNodeByDirection(this, node, "next");
+
+      if (previous === null) {
+        // It's a head that's being removed.
+        if (next === null) {
+          // It's also a tail.
+          map.head = null;
+          map.tail = null;
+          map.length = 0;
+        } else {
+          // It has a next node.
+          const newHeadNode = ImmutableLinkedOrderedMapForMode[
+            map.mode
+          ].makeImmutableLinkedOrderedMapNode(
+            map,
+            null,
+            null,
+            next.element.key,
+            next.element.value
+          );
+          ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(
+            map,
+            newHeadNode
+          );
+          map.head = newHeadNode;
+          const nextNext = ImmutableLinkedOrderedMapForMode[
+            map.mode
+          ].findMapNodeByDirection(this, next, "next");
+          if (nextNext === null) {
+            // The next node is a tail.
+            map.tail = newHeadNode;
+          } else {
+            ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+              map,
+              newHeadNode,
+              nextNext
+            );
+          }
+          map.length--;
+        }
+      } else if (next === null) {
+        // It's a tail that's being removed and it has a previous node.
+        const newTailNode = ImmutableLinkedOrderedMapForMode[
+          map.mode
+        ].makeImmutableLinkedOrderedMapNode(
+          map,
+          null,
+          null,
+          previous.element.key,
+          previous.element.value
+        );
+        ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(
+          map,
+          newTailNode
+        );
+        map.tail = newTailNode;
+        const previousPrevious = ImmutableLinkedOrderedMapForMode[
+          map.mode
+        ].findMapNodeByDirection(this, previous, "previous");
+        if (previousPrevious === null) {
+          // The previous node is a head.
+          map.head = newTailNode;
+        } else {
+          ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+            map,
+            previousPrevious,
+            newTailNode
+          );
+        }
+        map.length--;
+      } else {
+        // It's a node in between.
+        ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+          map,
+          previous,
+          next
+        );
+        map.length--;
+      }
+    }
+
+    if (!map) {
+      // Nothing has changed.
+      return this;
+    } else {
+      updateMapOrderTree(map, [node]);
+      mapChange(map, "unset", {
+        key,
+        value,
+        index,
+      });
+      return map;
+    }
+  }
+
+  /**
+   * Empties the map.
+   *
+   * The same map instance will be returned if the map is already empty.
+   *
+   * @return {ImmutableLinkedOrderedMap} A new emptied immutable linked ordered map.
+   */
+  empty() {
+    if (this.length <= 0) {
+      // The map is already empty. Nothing has changed.
+      return this;
+    }
+
+    if (draftMapsChanges.has(this)) {
+      // An open draft of "withMutations" is emptied in place, orphaning all of its keys.
+      for (const key of this.keys()) {
+        addImmutableLinkedOrderedMapOrphanNode(this, key);
+      }
+      this.head = null;
+      this.tail = null;
+      this.length = 0;
+      this.orderTree = null;
+      this.reversed = false;
+      mapChange(this, "empty");
+      return this;
+    }
+
+    isFork = true;
+    const map = newMapFromMode(this.mode);
+    isFork = false;
+    hydrateNew.call(map, {
+      keyPropName: this.keyPropName,
+      mode: this.mode,
+      useNativeMap: this.useNativeMap,
+      autoCompact: this.autoCompact,
+      depth: this.depth + 1,
+      ancestorMap: this,
+    });
+    mapChange(map, "empty");
+    return map;
+  }
+
+  /**
+   * Applies multiple mutation operations to a single new version of this map.
+   *
+   * The given function receives a draft map on which every mutation operation ("set", "replace", "unset", "empty", etc...)
+   * is applied in place and returns the draft itself, so that all the operations result in one version of the map
+   * with one combined change: "{ withMutations: [...changes] }".
+   *
+   * The same map instance will be returned if none of the operations changed anything.
+   *
+   * @param {Function} fn A function receiving the draft map as its only parameter.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  withMutations(fn) {
+    if (draftMapsChanges.has(this)) {
+      // Already an open draft, the operations are batched with the ones of the draft.
+      fn(this);
+      return this;
+    }
+
+    const draft = forkMap(this);
+    const changes = [];
+    const changeRecords = [];
+    draftMapsChanges.set(draft, {
+      changes,
+      changeRecords,
+    });
+    try {
+      fn(draft);
+    } finally {
+      draftMapsChanges.delete(draft);
+    }
+
+    if (!changes.length) {
+      // Nothing has changed.
+      return this;
+    }
+    mapChange(draft, "withMutations", changes, changeRecords);
+    return draft;
+  }
+
+  /**
+   * Moves an existent item right before the item of another key.
+   *
+   * The same map instance will be returned if one of the given keys is missing, if they are the same key
+   * or if the item is already right before the item of the target key.
+   *
+   * @param {string|number} key The key of the item to move.
+   * @param {string|number} targetKey The key of the item before which the item has to be moved.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  moveBefore(key, targetKey) {
+    return moveMapKey(this, key, targetKey, false);
+  }
+
+  /**
+   * Moves an existent item right after the item of another key.
+   *
+   * The same map instance will be returned if one of the given keys is missing, if they are the same key
+   * or if the item is already right after the item of the target key.
+   *
+   * @param {string|number} key The key of the item to move.
+   * @param {string|number} targetKey The key of the item after which the item has to be moved.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  moveAfter(key, targetKey) {
+    return moveMapKey(this, key, targetKey, true);
+  }
+
+  /**
+   * Moves an existent item to the head of the map.
+   *
+   * The same map instance will be returned if the given key is missing or if its item is already the first one.
+   *
+   * @param {string|number} key The key of the item to move.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  moveToHead(key) {
+    if (!this.head) {
+      return this;
+    }
+    return moveMapKey(this, key, this.head.element.key, false);
+  }
+
+  /**
+   * Moves an existent item to the tail of the map.
+   *
+   * The same map instance will be returned if the given key is missing or if its item is already the last one.
+   *
+   * @param {string|number} key The key of the item to move.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  moveToTail(key) {
+    if (!this.tail) {
+      return this;
+    }
+    return moveMapKey(this, key, this.tail.element.key, true);
+  }
+
+  /**
+   * Swaps the positions of the items of two existent keys.
+   *
+   * The same map instance will be returned if one of the given keys is missing or if they are the same key.
+   *
+   * @param {string|number} keyA The key of the first item.
+   * @param {string|number} keyB The key of the second item.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  swap(keyA, keyB) {
+    const nodeA = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+      this,
+      keyA
+    );
+    const nodeB = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+      this,
+      keyB
+    );
+    if (!nodeA || !nodeB || nodeA === nodeB) {
+      // Either one of the keys is missing or they are the same key.
+      return this;
+    }
+
+    // All the neighbours must be found before binding any node, as in lightweight mode nodes are bound in place.
+    const slots = [nodeA, nodeB].map(node => ({
+      node,
+      previous: ImmutableLinkedOrderedMapForMode[
+        this.mode
+      ].findMapNodeByDirection(this, node, "previous"),
+      next: ImmutableLinkedOrderedMapForMode[this.mode].findMapNodeByDirection(
+        this,
+        node,
+        "next"
+      ),
+    }));
+
+    const map = forkMap(this);
+    const newNodeA = ImmutableLinkedOrderedMapForMode[
+      map.mode
+    ].makeImmutableLinkedOrderedMapNode(
+      map,
+      null,
+      null,
+      nodeA.element.key,
+      nodeA.element.value
+    );
+    const newNodeB = ImmutableLinkedOrderedMapForMode[
+      map.mode
+    ].makeImmutableLinkedOrderedMapNode(
+      map,
+      null,
+      null,
+      nodeB.element.key,
+      nodeB.element.value
+    );
+    ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNodeA);
+    ImmutableLinkedOrderedMapForMode[map.mode].updateHeapMap(map, newNodeB);
+    // The order labels of the previous positions of the keys cannot be kept.
+    newNodeA.orderLabel = void 0;
+    newNodeB.orderLabel = void 0;
+
+    // The new node of "keyB" takes the position of "nodeA" and viceversa.
+    slots[0].newNode = newNodeB;
+    slots[1].newNode = newNodeA;
+    const newNodeFor = node =>
+      node === nodeA ? newNodeB : node === nodeB ? newNodeA : node;
+    for (const { previous, next, newNode } of slots) {
+      if (previous === null) {
+        map.head = newNode;
+      } else {
+        ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+          map,
+          newNodeFor(previous),
+          newNode
+        );
+      }
+      if (next === null) {
+        map.tail = newNode;
+      } else {
+        ImmutableLinkedOrderedMapForMode[map.mode].bindNodes(
+          map,
+          newNode,
+          newNodeFor(next)
+        );
+      }
+    }
+
+    updateMapOrderTree(map, [nodeA, nodeB], [newNodeB, newNodeA]);
+    mapChange(map, "move", {
+      key: keyA,
+      targetKey: keyB,
+      position: "swap",
+    });
+    return map;
+  }
+
+  /**
+   * Inserts a new item or multiple new items right before the item of an existent key
+   * and returns a new updated version of this map.
+   *
+   * Items of keys which already exist in the map are updated in place as "set" does,
+   * unless "relocateExisting" is true, in which case they are moved right before the target key as well.
+   * The same map instance will be returned if the target key is missing or if nothing has changed.
+   *
+   * @param {string|number} targetKey The key of the item before which the items have to be inserted.
+   * @param {Object|Array} items An object representing the item to insert or an array of items to insert (same structure as for the "initialItems" option
+   *                             when creating a new map from scratch).
+   * @param {boolean} relocateExisting If set to true, existent items are moved next to the target key instead of being updated in place.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  insertBefore(targetKey, items, relocateExisting = false) {
+    return insertMapItems(this, targetKey, items, false, relocateExisting);
+  }
+
+  /**
+   * Inserts a new item or multiple new items right after the item of an existent key
+   * and returns a new updated version of this map.
+   *
+   * Items of keys which already exist in the map are updated in place as "set" does,
+   * unless "relocateExisting" is true, in which case they are moved right after the target key as well.
+   * The same map instance will be returned if the target key is missing or if nothing has changed.
+   *
+   * @param {string|number} targetKey The key of the item after which the items have to be inserted.
+   * @param {Object|Array} items An object representing the item to insert or an array of items to insert (same structure as for the "initialItems" option
+   *                             when creating a new map from scratch).
+   * @param {boolean} relocateExisting If set to true, existent items are moved next to the target key instead of being updated in place.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  insertAfter(targetKey, items, relocateExisting = false) {
+    return insertMapItems(this, targetKey, items, true, relocateExisting);
+  }
+
+  /**
+   * Lookups a value in the map.
+   *
+   * @param {string|number} key The key to lookup.
+   * @return {*} The associated value, or undefined, if the given key is missing.
+   */
+  get(key) {
+    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
+    if (node) {
+      return node.element.value;
+    }
+    return void 0;
+  }
+
+  /**
+   * Tests whether the given key exists in the map.
+   *
+   * Unlike "get", this method allows to tell a missing key apart from a key which is mapped to "undefined".
+   *
+   * @param {string|number} key The key to test.
+   * @return {boolean} True if the map has a value for the given key (even if that value is "undefined"), false otherwise.
+   */
+  has(key) {
+    return !!ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
+  }
+
+  /**
+   * Returns a key/value pair of the first item in the map.
+   *
+   * @return {Object|undefined} An object with the property "key" (the key of the item in the map) and "value"
+   *                            (the value of the item in the map).
+   *                            If the map is empty, "undefined" will be returned.
+   */
+  first() {
+    if (this.head) {
+      return {
+        key: this.head.element.key,
+        value: this.head.element.value,
+      };
+    } else {
+      return void 0;
+    }
+  }
+
+  /**
+   * Returns a key/value pair of the last item in the map.
+   *
+   * @return {Object|undefined} An object with the property "key" (the key of the item in the map) and "value"
+   *                            (the value of the item in the map).
+   *                            If the map is empty, "undefined" will be returned.
+   */
+  last() {
+    if (this.tail) {
+      return {
+        key: this.tail.element.key,
+        value: this.tail.element.value,
+      };
+    } else {
+      return void 0;
+    }
+  }
+
+  /**
+   * Returns the value of the item at the given position in the map in logarithmic time.
+   *
+   * @param {number} index The position of the item (0-based). A negative index counts back from the last item,
+   *                       as for "Array.prototype.at" (e.g. "-1" is the position of the last item).
+   * @return {*} The value of the item at the given position or "undefined" if the index is out of bounds.
+   */
+  at(index) {
+    const orderTreeNode = orderTreeNodeAt(
+      this.orderTree,
+      orderTreePosition(this, normalizeIndex(index, this.length))
+    );
+    if (orderTreeNode) {
+      return this.get(orderTreeNode.key);
+    }
+    return void 0;
+  }
+
+  /**
+   * Returns the key of the item at the given position in the map in logarithmic time.
+   *
+   * @param {number} index The position of the item (0-based). A negative index counts back from the last item,
+   *                       as for "Array.prototype.at" (e.g. "-1" is the position of the last item).
+   * @return {string|number|undefined} The key of the item at the given position or "undefined" if the index is out of bounds.
+   */
+  keyAt(index) {
+    const orderTreeNode = orderTreeNodeAt(
+      this.orderTree,
+      orderTreePosition(this, normalizeIndex(index, this.length))
+    );
+    if (orderTreeNode) {
+      return orderTreeNode.key;
+    }
+    return void 0;
+  }
+
+  /**
+   * Returns the position of the item with the given key in the map in logarithmic time.
+   *
+   * @param {string|number} key The key of the item.
+   * @return {number} The position of the item (0-based) or "-1" if the given key is missing.
+   */
+  indexOf(key) {
+    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
+    if (node) {
+      return mapIndexOfNode(this, node);
+    }
+    return -1;
+  }
+
+  /**
+   * Returns a range of key/value pairs before the given key up to a max number of items
+   * (counting the given key if included).
+   *
+   * @param {string|number} key The key to lookup and use for the creation of the range.
+   * @param {number} maxNumberOfItems Max number of key/value pairs to return for the range including or not including the item at the given key
+   *                                  (depending on the value of the "itemAtKeyIncluded" opton).
+   *                                  By default, all items before the given key are included in the returned range of key/value pairs.
+   * @param {boolean} itemAtKeyIncluded Whether or not to include the item at the given key in the range (by default the item is included).
+   * @return {Array} An array which represents the range, each item being a key/value pair representing an item of the map.
+   *                 An empty array if the given key does not exist in the map or the given key does exist in the map but is not included
+   *                 in the range and its item is the first of the map.
+   *                 An empty array is also returned if "maxNumberOfItems" is less than or equal to 0.
+   */
+  rangeBefore(key, maxNumberOfItems = Infinity, itemAtKeyIncluded = true) {
+    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
+    if (!node || maxNumberOfItems <= 0) {
+      return [];
+    }
+
+    let current = itemAtKeyIncluded
+      ? node
+      : ImmutableLinkedOrderedMapForMode[this.mode].findMapNodeByDirection(
+          this,
+          node,
+          "previous"
+        );
+    if (!current) {
+      return [];
+    }
+
+    const range = [{ key: current.element.key, value: current.element.value }];
+    while (current && range.length < maxNumberOfItems) {
+      current = ImmutableLinkedOrderedMapForMode[
+        this.mode
+      ].findMapNodeByDirection(this, current, "previous");
+      if (!current) {
+        break;
+      }
+      range.push({ key: current.element.key, value: current.element.value });
+    }
+    return range.reverse();
+  }
+
+  /**
+   * Returns a range of key/value pairs after the given key up to a max number of items
+   * (counting the given key if included).
+   *
+   * @param {string|number} key The key to lookup and use for the creation of the range.
+   * @param {number} maxNumberOfItems Max number of key/value pairs to return for the range including or not including the item at the given key
+   *                                  (depending on the value of the "itemAtKeyIncluded" opton).
+   *                                  By default, all items after the given key are included in the returned range of key/value pairs.
+   * @param {boolean} itemAtKeyIncluded Whether or not to include the item at the given key in the range (by default the item is included).
+   * @return {Array} An array which represents the range, each item being a key/value pair representing an item of the map.
+   *                 An empty array if the given key does not exist in the map or the given key does exist in the map but is not included
+   *                 in the range and its item is the last of the map.
+   *                 An empty array is also returned if "maxNumberOfItems" is less than or equal to 0.
+   */
+  rangeAfter(key, maxNumberOfItems = Infinity, itemAtKeyIncluded = true) {
+    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
+    if (!node || maxNumberOfItems <= 0) {
+      return [];
+    }
+
+    let current = itemAtKeyIncluded
+      ? node
+      : ImmutableLinkedOrderedMapForMode[this.mode].findMapNodeByDirection(
+          this,
+          node,
+          "next"
+        );
+    if (!current) {
+      return [];
+    }
+
+    const range = [{ key: current.element.key, value: current.element.value }];
+    while (current && range.length < maxNumberOfItems) {
+      current = ImmutableLinkedOrderedMapForMode[
+        this.mode
+      ].findMapNodeByDirection(this, current, "next");
+      if (!current) {
+        break;
+      }
+      range.push({ key: current.element.key, value: current.element.value });
+    }
+    return range;
+  }
+
+  /**
+   * Returns the items between two keys, walking the map from the item of "fromKey" towards the item of "toKey".
+   *
+   * The direction is detected automatically: if "toKey" comes before "fromKey", the map is walked backwards
+   * and the items of the range are in reverse order.
+   *
+   * @param {string|number} fromKey The key from which the range starts.
+   * @param {string|number} toKey The key at which the range ends.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.inclusive] Whether both bounds are included in the range (defaults to true).
+   * @param {boolean} [options.fromInclusive] Whether the item of "fromKey" is included in the range (defaults to "inclusive").
+   * @param {boolean} [options.toInclusive] Whether the item of "toKey" is included in the range (defaults to "inclusive").
+   * @param {number} [options.maxNumberOfItems] Max number of items of the range, starting from "fromKey" (by default there isn't a limit).
+   * @param {boolean} [options.asArray] If set to true, an array of key/value pairs is returned (as for "rangeBefore" and "rangeAfter")
+   *                                    instead of a map.
+   * @return {ImmutableLinkedOrderedMap|Array} A new immutable linked ordered map with the same mode and key property name of this map
+   *                                           or an array of key/value pairs if "asArray" is true.
+   *                                           The range is empty if one of the keys does not exist in the map.
+   */
+  rangeBetween(
+    fromKey,
+    toKey,
+    {
+      inclusive = true,
+      fromInclusive = inclusive,
+      toInclusive = inclusive,
+      maxNumberOfItems = Infinity,
+      asArray = false,
+    } = {}
+  ) {
+    const fromNode = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+      this,
+      fromKey
+    );
+    const toNode = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+      this,
+      toKey
+    );
+    const range = [];
+    if (fromNode && toNode && maxNumberOfItems > 0) {
+      if (fromNode === toNode) {
+        // Both bounds are the same item.
+        fromInclusive &&
+          toInclusive &&
+          range.push({
+            key: fromNode.element.key,
+            value: fromNode.element.value,
+          });
+      } else {
+        const nextNodeDirection =
+          this.indexOf(toNode.element.key) < this.indexOf(fromNode.element.key)
+            ? "previous"
+            : "next";
+        let current = fromInclusive
+          ? fromNode
+          : ImmutableLinkedOrderedMapForMode[this.mode].findMapNodeByDirection(
+              this,
+              fromNode,
+              nextNodeDirection
+            );
+        while (current && range.length < maxNumberOfItems) {
+          if (current === toNode && !toInclusive) {
+            break;
+          }
+          range.push({
+            key: current.element.key,
+            value: current.element.value,
+          });
+          if (current === toNode) {
+            break;
+          }
+          current = ImmutableLinkedOrderedMapForMode[
+            this.mode
+          ].findMapNodeByDirection(this, current, nextNodeDirection);
+        }
+      }
+    }
+    return asArray
+      ? range
+      : newMapLike(
+          this,
+          range.map(({ key, value }) => [key, value])
+        );
+  }
+
+  /**
+   * Returns a new map with the entries of this map between two positions, as "Array.prototype.slice" does.
+   *
+   * The returned map has the same mode and key property name of this map.
+   * The same map instance will be returned if all of its entries are in the slice.
+   *
+   * @param {number} [start] The start position (included), defaults to 0. A negative position counts back from the tail of the map.
+   * @param {number} [end] The end position (excluded), defaults to the length of the map.
+   *                       A negative position counts back from the tail of the map.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if all of its entries are in the slice.
+   */
+  slice(start = 0, end = void 0) {
+    return sliceMap(this, start, end);
+  }
+
+  /**
+   * Returns a new map with the first entries of this map.
+   *
+   * @param {number} n The number of entries to take.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if all of its entries are taken.
+   */
+  take(n) {
+    return sliceMap(this, 0, Math.max(n, 0));
+  }
+
+  /**
+   * Returns a new map with the last entries of this map.
+   *
+   * @param {number} n The number of entries to take.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if all of its entries are taken.
+   */
+  takeLast(n) {
+    return sliceMap(this, Math.max(this.length - Math.max(n, 0), 0));
+  }
+
+  /**
+   * Returns a new map without the first entries of this map.
+   *
+   * @param {number} n The number of entries to skip.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if no entry is skipped.
+   */
+  skip(n) {
+    return sliceMap(this, Math.max(n, 0));
+  }
+
+  /**
+   * Returns a new map with the leading entries of this map for which the given callback returns a truthy value.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map, starting from the head node, until it returns
+   *                      a falsy value. The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if all of its entries are taken.
+   */
+  takeWhile(fn) {
+    return sliceMap(this, 0, countLeadingMapEntries(this, fn));
+  }
+
+  /**
+   * Returns a new map without the leading entries of this map for which the given callback returns a truthy value.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map, starting from the head node, until it returns
+   *                      a falsy value. The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if no entry is skipped.
+   */
+  skipWhile(fn) {
+    return sliceMap(this, countLeadingMapEntries(this, fn));
+  }
+
+  /**
+   * Tests if the map is empty.
+   *
+   * @return {boolean} True if the map is empty, false otherwise.
+   */
+  isEmpty() {
+    return this.length <= 0;
+  }
+
+  /**
+   * Loop through all the values of this immutable linked ordered map in the order they were added.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   * @return {undefined}
+   */
+  forEach(fn, reversed = false) {
+    let key;
+    let value;
+    let current;
+    let nextNodeDirection;
+    let i;
+    let updateI;
+
+    this.shouldNextForEachBreak = false;
+    this.forEachNextFn = void 0;
+
+    if (reversed) {
+      current = this.tail;
+      nextNodeDirection = "previous";
+      i = this.length - 1;
+      updateI = () => i--;
+    } else {
+      current = this.head;
+      nextNodeDirection = "next";
+      i = 0;
+      updateI = () => i++;
+    }
+
+    while (current) {
+      if (!this.shouldNextForEachBreak) {
+        const element = current.element;
+        key = element.key;
+        value = element.value;
+        const result = (this.forEachNextFn || fn).call(this, value, key, i);
+        if (result === false) {
+          // Break instantly.
+          break;
+        }
+        current = ImmutableLinkedOrderedMapForMode[
+          this.mode
+        ].findMapNodeByDirection(this, current, nextNodeDirection);
+        updateI();
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Break the next "forEach" loop iteration occurring on this immutable linked ordered map.
+   *
+   * @return {undefined}
+   */
+  break() {
+    this.shouldNextForEachBreak = true;
+  }
+
+  /**
+   * Returns an array of values of this map.
+   *
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   *                             If "reversed" is set to "true", the returned values will be in reverse order.
+   * @return {Array} An array of all the values of this map, in the order they were added to the map.
+   */
+  values(reversed = false) {
+    const array = new Array(this.length);
+    let i = 0;
+    this.forEach(function (value) {
+      array[i] = value;
+      i++;
+    }, reversed);
+    return array;
+  }
+
+  /**
+   * Returns an array of keys of this map.
+   *
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   *                             If "reversed" is set to "true", the returned keys will be in reverse order.
+   * @return {Array} An array of all the keys of this map, in the order they were added to the map.
+   */
+  keys(reversed = false) {
+    const array = new Array(this.length);
+    let i = 0;
+    this.forEach(function (value, key) {
+      array[i] = key;
+      i++;
+    }, reversed);
+    return array;
+  }
+
+  /**
+   * Returns an array of key/value pairs for each item in the map.
+   *
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   *                             If "reversed" is set to "true", the returned key/value pairs will be in reverse order.
+   * @return {Array} An array of objects where each object has the property "key" (the key of the item in the map)
+   *                 and "value" (the value of the item in the map).
+   */
+  keysValues(reversed = false) {
+    const array = new Array(this.length);
+    let i = 0;
+    this.forEach((value, key) => {
+      array[i] = {
+        key,
+        value,
+      };
+      i++;
+    }, reversed);
+    return array;
+  }
+
+  /**
+   * Returns the default iterator of this map, which yields the same "[key, value]" pairs as "entries()",
+   * so that the map can be used with "for...of", the spread syntax, "Array.from", etc... .
+   *
+   * @return {Iterator} An iterator of "[key, value]" pairs, in the order they were added to the map.
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Returns a lazy iterator of "[key, value]" pairs for each item in the map.
+   *
+   * Unlike "keysValues()", the items are visited one node at a time as the iterator advances,
+   * therefore no array is built upfront.
+   *
+   * For maps in lightweight mode, which are mutated in place, advancing the iterator
+   * after a mutation operation occurred on the map throws an error.
+   *
+   * @param {boolean} [reversed] An optional boolean indicating whether to iterate in reverse order (starting
+   *                             from the tail node). The default is to iterate starting from the head node.
+   * @return {Iterator} An iterator of "[key, value]" pairs.
+   */
+  entries(reversed = false) {
+    return mapNodesIterator(
+      this,
+      node => [node.element.key, node.element.value],
+      reversed
+    );
+  }
+
+  /**
+   * Returns a lazy iterator of the keys of this map.
+   *
+   * For maps in lightweight mode, advancing the iterator after a mutation operation occurred on the map
+   * throws an error (see "entries").
+   *
+   * @param {boolean} [reversed] An optional boolean indicating whether to iterate in reverse order (starting
+   *                             from the tail node). The default is to iterate starting from the head node.
+   * @return {Iterator} An iterator of the keys of this map.
+   */
+  keysIterator(reversed = false) {
+    return mapNodesIterator(this, node => node.element.key, reversed);
+  }
+
+  /**
+   * Returns a lazy iterator of the values of this map.
+   *
+   * For maps in lightweight mode, advancing the iterator after a mutation operation occurred on the map
+   * throws an error (see "entries").
+   *
+   * @param {boolean} [reversed] An optional boolean indicating whether to iterate in reverse order (starting
+   *                             from the tail node). The default is to iterate starting from the head node.
+   * @return {Iterator} An iterator of the values of this map.
+   */
+  valuesIterator(reversed = false) {
+    return mapNodesIterator(this, node => node.element.value, reversed);
+  }
+
+  /**
+   * Map all the values of this immutable linked ordered map in the order they were added
+   * to a new array.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument,
+   *                      the key as the second argument, and the index of the item in the map as the third argument.
+   *                      It's return value will be used as an element of the returned array for that item.
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   *                             If "reversed" is set to "true", the returned mapped values will be in reverse order.
+   * @return {Array} An array with the mapped values.
+   */
+  map(fn, reversed = false) {
+    const array = new Array(this.length);
+    let i = 0;
+    this.forEach((value, key, index) => {
+      array[i] = fn(value, key, index);
+      i++;
+    }, reversed);
+    return array;
+  }
+
+  /**
+   * Reduce all the values of this immutable linked ordered map to a single output value.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the accumulator as the first argument,
+   *                      the current value as the second argument, the current value's key as the third argument
+   *                      and the index of the item in the map as the fourth argument.
+   *
+   *                      It's return value is assigned to the accumulator, whose value is remembered across each iteration
+   *                      throughout the map and ultimately becomes the final, single resulting value.
+   *
+   *                      The first time the callback is called, accumulator and current value can be one of two values.
+   *                      If "initialValue" is provided in the call to "reduce()", then accumulator will be equal to "initialValue",
+   *                      and the current value will be equal to the first value in the map.
+   *                      If no "initialValue" is provided, then the accumulator will be equal to the first or last value in the map
+   *                      (if "reversed" is either "false" or "true", respectively), and the current value will be equal to the value of
+   *                      the next or previous item (again, if "reversed" is either "false" or "true", respectively).
+   * @param {*} initialValue A value to use as the first argument to the first call of the callback.
+   *                         If no "initialValue" is supplied, the first element in the map will be used and skipped.
+   *                         Calling "reduce()" on an empty map without an initial value will throw a "TypeError".
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   * @return {*} The single value that results from the reduction.
+   */
+  reduce(fn, initialValue, reversed = false) {
+    const hasInitialValue = arguments.length > 1;
+    let acc;
+    let skipFirst = false;
+
+    if (!hasInitialValue) {
+      if (!this.length) {
+        throw new TypeError(
+          `ImmutableLinkedOrderedMap type error: Reduce of empty map with no initial value`
+        );
+      }
+      skipFirst = true;
+      acc = (reversed ? this.last() : this.first()).value;
+    } else {
+      acc = initialValue;
+    }
+
+    const accFn = (value, key, index) => {
+      acc = fn(acc, value, key, index);
+    };
+    const overridableFn = function (value, key, index) {
+      this.forEachNextFn = accFn;
+      if (skipFirst) {
+        return;
+      }
+      accFn(value, key, index);
+    };
+    this.forEach(overridableFn, reversed);
+
+    return acc;
+  }
+
+  /**
+   * Filters the values of this immutable linked ordered map returning an array with the filtered values.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument,
+   *                      the key as the second argument, and the index of the item in the map as the third argument.
+   *                      The values for which the callback returned a falsy value will not be added to the returned
+   *                      array of filtered items.
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   *                             If "reversed" is set to "true", the returned filtered values will be in reverse order.
+   * @return {Array} An array with the filtered values.
+   */
+  filter(fn, reversed = false) {
+    const array = [];
+    let i = 0;
+    this.forEach((value, key, index) => {
+      const res = fn(value, key, index);
+      if (res) {
+        array[i] = value;
+        i++;
+      }
+    }, reversed);
+    return array;
+  }
+
+  /**
+   * Groups the values of this immutable linked ordered map returning a new map of maps.
+   *
+   * The groups are in order of first appearance and the items of each group keep their relative order.
+   * All the maps have the same mode and key property name of this map.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument,
+   *                      the key as the second argument, and the index of the item in the map as the third argument.
+   *                      It's return value will be used as the key of the group of the item.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map mapping the key of each group
+   *                                     to an immutable linked ordered map with the items of that group.
+   */
+  groupBy(fn) {
+    return newMapLike(
+      this,
+      groupMapEntries(this, fn).map(([groupKey, entries]) => [
+        groupKey,
+        newMapLike(this, entries),
+      ])
+    );
+  }
+
+  /**
+   * Splits the values of this immutable linked ordered map in two maps, keeping their relative order.
+   *
+   * This map is returned as is in place of one of the two maps if all of its values pass or fail the test.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument,
+   *                      the key as the second argument, and the index of the item in the map as the third argument.
+   * @return {Array<ImmutableLinkedOrderedMap>} A "[pass, fail]" pair of maps, the first one with the items for which the callback
+   *                                            returned a truthy value and the second one with the other items.
+   */
+  partition(fn) {
+    const pass = [];
+    const fail = [];
+    this.forEach((value, key, index) => {
+      (fn(value, key, index) ? pass : fail).push([key, value]);
+    });
+    if (!fail.length) {
+      return [this, newMapLike(this)];
+    } else if (!pass.length) {
+      return [newMapLike(this), this];
+    }
+    return [newMapLike(this, pass), newMapLike(this, fail)];
+  }
+
+  /**
+   * Counts the values of this immutable linked ordered map by group, returning a new map of counts.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map (see "groupBy").
+   *                      It's return value will be used as the key of the group of the item.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map mapping the key of each group to the number of its items,
+   *                                     with the groups in order of first appearance.
+   */
+  countBy(fn) {
+    return newMapLike(
+      this,
+      groupMapEntries(this, fn).map(([groupKey, entries]) => [
+        groupKey,
+        entries.length,
+      ])
+    );
+  }
+
+  /**
+   * Maps all the values of this immutable linked ordered map to a new map with the same keys in the same order.
+   *
+   * The same map instance will be returned if all the mapped values are the same (using the triple equality operator "===").
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument,
+   *                      the key as the second argument, and the index of the item in the map as the third argument.
+   *                      It's return value will be used as the new value for that key.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  mapValues(fn) {
+    const entries = [];
+    this.forEach((value, key, index) => {
+      const newValue = fn(value, key, index);
+      if (newValue !== value) {
+        entries.push([key, newValue]);
+      }
+    });
+    return this.setEntries(entries);
+  }
+
+  /**
+   * Filters the values of this immutable linked ordered map returning a new map with the filtered values
+   * in the same order.
+   *
+   * The same map instance will be returned if the callback returns a truthy value for all the values.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument,
+   *                      the key as the second argument, and the index of the item in the map as the third argument.
+   *                      The keys for which the callback returned a falsy value will not be in the returned map.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  filterMap(fn) {
+    const keys = [];
+    this.forEach((value, key, index) => {
+      if (!fn(value, key, index)) {
+        keys.push(key);
+      }
+    });
+    return this.withMutations(map => {
+      for (const key of keys) {
+        map.unsetKey(key);
+      }
+    });
+  }
+
+  /**
+   * Sorts the values of this immutable linked ordered map returning a new map with the same entries in the new order.
+   *
+   * The sort is stable, i.e. values which compare equal keep their current relative order.
+   * The same map instance will be returned if the values are already in order.
+   *
+   * @param {Function} [comparator] A function receiving two values and returning a negative number if the first one
+   *                                must come before the second one, a positive number if it must come after it or 0 otherwise.
+   *                                Defaults to a comparator ordering the values in ascending order.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  sort(comparator = defaultComparator) {
+    return sortMap(this, (node, otherNode) =>
+      comparator(node.element.value, otherNode.element.value)
+    );
+  }
+
+  /**
+   * Sorts the values of this immutable linked ordered map by a value selected from each one of them,
+   * returning a new map with the same entries in the new order.
+   *
+   * The sort is stable, i.e. values which compare equal keep their current relative order.
+   * The same map instance will be returned if the values are already in order.
+   *
+   * @param {Function} selector A function receiving the value as the first argument and the key as the second argument,
+   *                            returning the value to sort by.
+   * @param {Function} [comparator] A function comparing two selected values (see "sort").
+   *                                Defaults to a comparator ordering the selected values in ascending order.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  sortBy(selector, comparator = defaultComparator) {
+    const selectedValues = new Map();
+    const select = node => {
+      if (!selectedValues.has(node)) {
+        selectedValues.set(
+          node,
+          selector(node.element.value, node.element.key)
+        );
+      }
+      return selectedValues.get(node);
+    };
+    return sortMap(this, (node, otherNode) =>
+      comparator(select(node), select(otherNode))
+    );
+  }
+
+  /**
+   * Sorts the entries of this immutable linked ordered map by their keys, returning a new map with the same entries in the new order.
+   *
+   * The same map instance will be returned if the keys are already in order.
+   *
+   * @param {Function} [comparator] A function comparing two keys (see "sort").
+   *                                Defaults to a comparator ordering the keys in ascending order.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  sortByKey(comparator = defaultComparator) {
+    return sortMap(this, (node, otherNode) =>
+      comparator(node.element.key, otherNode.element.key)
+    );
+  }
+
+  /**
+   * Reverses the order of this immutable linked ordered map in constant time, returning a new map
+   * which is a view over the same nodes with its head and tail swapped.
+   *
+   * No entry is copied. Mutation operations on the returned map behave as if the map were really reversed
+   * (e.g. appending a value to it puts the value before the items of this map).
+   *
+   * The same map instance will be returned if the map has less than two items.
+   *
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  reverse() {
+    if (this.length < 2) {
+      // Nothing to reverse.
+      return this;
+    }
+
+    const map = forkMap(this);
+    map.reversed = !map.reversed;
+    [map.head, map.tail] = [map.tail, map.head];
+    mapChange(map, "reverse");
+    return map;
+  }
+
+  /**
+   * Maps all the entries of this immutable linked ordered map to a new map with the mapped entries in the same order.
+   *
+   * If multiple entries are mapped to the same key, the last one wins and determines the position of the key.
+   * The same map instance will be returned if all the mapped keys and values are the same
+   * (using the triple equality operator "===" for the values).
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument,
+   *                      the key as the second argument, and the index of the item in the map as the third argument.
+   *                      It must return the new "[key, value]" entry for that item.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  mapEntries(fn) {
+    const entries = [];
+    let changed = false;
+    this.forEach((value, key, index) => {
+      const entry = fn(value, key, index);
+      changed =
+        changed || !isSameKey(this, entry[0], key) || entry[1] !== value;
+      entries.push(entry);
+    });
+    if (!changed) {
+      // Nothing has changed.
+      return this;
+    }
+    return this.withMutations(map => {
+      map.empty();
+      map.setEntries(entries);
+    });
+  }
+
+  /**
+   * Tests whether all values in the map pass the test implemented by the provided function.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   *                      If the returned value of the callback for a given value is falsy, this method will instantly return "false".
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   * @return {boolean} "true" all values in the map pass the test implemented by the provided callback function, "false" otherwise.
+   */
+  every(fn, reversed = false) {
+    let allTrue = true;
+    this.forEach((value, key, index) => {
+      const res = fn(value, key, index);
+      if (!res) {
+        allTrue = false;
+        return false;
+      }
+    }, reversed);
+    return allTrue;
+  }
+
+  /**
+   * Tests whether at least one element in the map passes the test implemented by the provided function.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   *                      If the returned value of the callback for a given value is truthy, this method will instantly return "true".
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   * @return {boolean} "true" if at least one element passes the test implemented by the provided callback function, "false" otherwise.
+   */
+  some(fn, reversed = false) {
+    let ret = false;
+    this.forEach((value, key, index) => {
+      const res = fn(value, key, index);
+      if (res) {
+        ret = true;
+        return false;
+      }
+    }, reversed);
+    return ret;
+  }
+
+  /**
+   * Returns the value of the first item for which the provided function returns a truthy value.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   *                      As soon as the returned value of the callback is truthy, the loop stops.
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   * @return {*} The value of the item found or "undefined" if there isn't one.
+   */
+  find(fn, reversed = false) {
+    const found = findMapItem(this, fn, reversed);
+    return found ? found.value : void 0;
+  }
+
+  /**
+   * Returns the value of the last item for which the provided function returns a truthy value
+   * (i.e. the first one when looping starting from the tail node).
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   *                      As soon as the returned value of the callback is truthy, the loop stops.
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop starting from the head node instead,
+   *                             which makes this method behave as "find".
+   * @return {*} The value of the item found or "undefined" if there isn't one.
+   */
+  findLast(fn, reversed = false) {
+    return this.find(fn, !reversed);
+  }
+
+  /**
+   * Returns the key of the first item for which the provided function returns a truthy value.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   *                      As soon as the returned value of the callback is truthy, the loop stops.
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   * @return {string|number|undefined} The key of the item found or "undefined" if there isn't one.
+   */
+  findKey(fn, reversed = false) {
+    const found = findMapItem(this, fn, reversed);
+    return found ? found.key : void 0;
+  }
+
+  /**
+   * Returns the "[key, value]" entry of the first item for which the provided function returns a truthy value.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   *                      As soon as the returned value of the callback is truthy, the loop stops.
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   * @return {Array|undefined} The entry of the item found or "undefined" if there isn't one.
+   */
+  findEntry(fn, reversed = false) {
+    const found = findMapItem(this, fn, reversed);
+    return found ? [found.key, found.value] : void 0;
+  }
+
+  /**
+   * Returns the position of the first item for which the provided function returns a truthy value.
+   *
+   * @param {Function} fn A callback function to call for each value stored in the map.
+   *                      The callback will receive the value as the first argument, the key as the second argument
+   *                      and the index of the item in the map as the third argument.
+   *                      As soon as the returned value of the callback is truthy, the loop stops.
+   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
+   *                             from the tail node). The default is to loop through all the elements starting
+   *                             from the head node.
+   * @return {number} The position of the item found (0-based, from the head node even when looping in reverse order)
+   *                  or "-1" if there isn't one.
+   */
+  findIndex(fn, reversed = false) {
+    const found = findMapItem(this, fn, reversed);
+    return found ? found.index : -1;
+  }
+
+  /**
+   * Merges the entries of another map into this map and returns a new updated version of this map.
+   *
+   * The keys of this map keep their order, while the keys which are only in the other map are appended
+   * (or prepended) in the order they have in the other map.
+   * The same map instance will be returned if nothing has changed (as for "set").
+   *
+   * @param {ImmutableLinkedOrderedMap} other The other map.
+   * @param {Function} [resolver] A function called for each key in both maps, receiving the value of this map as the first argument,
+   *                              the value of the other map as the second argument and the key as the third argument,
+   *                              which returns the value to keep. By default, the value of the other map is kept.
+   * @param {boolean} [prependMissing] If set to true, the keys which are only in the other map will be prepended instead of being appended.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  merge(other, resolver = void 0, prependMissing = false) {
+    const entries = [];
+    for (const [key, otherValue] of other.entries()) {
+      const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+        this,
+        key
+      );
+      entries.push([
+        key,
+        node && resolver
+          ? resolver(node.element.value, otherValue, key)
+          : otherValue,
+      ]);
+    }
+    return this.setEntries(entries, prependMissing);
+  }
+
+  /**
+   * Adds the entries of another map which keys are missing in this map and returns a new updated version of this map.
+   *
+   * Unlike "merge", the values of the keys which are in both maps are not changed.
+   * The same map instance will be returned if all the keys of the other map are already in this map.
+   *
+   * @param {ImmutableLinkedOrderedMap} other The other map.
+   * @param {boolean} [prependMissing] If set to true, the keys which are only in the other map will be prepended instead of being appended.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  union(other, prependMissing = false) {
+    return this.merge(other, value => value, prependMissing);
+  }
+
+  /**
+   * Keeps only the entries of this map which keys are also in another map and returns a new updated version of this map.
+   *
+   * The same map instance will be returned if all the keys of this map are in the other map.
+   *
+   * @param {ImmutableLinkedOrderedMap} other The other map.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  intersect(other) {
+    return this.filterMap((value, key) => other.has(key));
+  }
+
+  /**
+   * Removes the entries of this map which keys are in another map and returns a new updated version of this map.
+   *
+   * The same map instance will be returned if none of the keys of this map is in the other map.
+   *
+   * @param {ImmutableLinkedOrderedMap} other The other map.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or this map if nothing has changed.
+   */
+  subtract(other) {
+    return this.filterMap((value, key) => !other.has(key));
+  }
+
+  /**
+   * Tests whether this map holds the same entries as another map.
+   *
+   * Maps sharing the same heap map whose versions are related through their ancestor maps are compared
+   * only on the keys changed between them.
+   *
+   * @param {ImmutableLinkedOrderedMap} other The other map.
+   * @param {Object} [options] Options.
+   * @param {boolean} [options.ordered] Whether the entries must be in the same order (defaults to true).
+   * @param {Function} [options.valueEquals] A function receiving two values with the same key, returning true if they are equal
+   *                                         (defaults to the triple equality operator "===").
+   * @return {boolean} True if the maps are equal, false otherwise.
+   */
+  equals(
+    other,
+    {
+      ordered = true,
+      valueEquals = (value, otherValue) => value === otherValue,
+    } = {}
+  ) {
+    if (this === other) {
+      return true;
+    } else if (
+      !ImmutableLinkedOrderedMap.isMap(other) ||
+      this.length !== other.length
+    ) {
+      return false;
+    }
+
+    const changedKeys = changedKeysBetweenRelatedMaps(this, other);
+    if (changedKeys) {
+      // All the other keys have the same values and the same relative order in both maps.
+      for (const key of changedKeys) {
+        const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+          this,
+          key
+        );
+        const otherNode = ImmutableLinkedOrderedMapForMode[other.mode].lookup(
+          other,
+          key
+        );
+        if (!node !== !otherNode) {
+          return false;
+        } else if (
+          node &&
+          (!valueEquals(node.element.value, otherNode.element.value) ||
+            (ordered && this.indexOf(key) !== other.indexOf(key)))
+        ) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    if (ordered) {
+      const nodes = mapNodesIterator(this, node => node);
+      for (const [otherKey, otherValue] of other.entries()) {
+        const { element } = nodes.next().value;
+        if (
+          !isSameKey(this, element.key, otherKey) ||
+          !valueEquals(element.value, otherValue)
+        ) {
+          return false;
+        }
+      }
+    } else {
+      for (const [otherKey, otherValue] of other.entries()) {
+        const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(
+          this,
+          otherKey
+        );
+        if (!node || !valueEquals(node.element.value, otherValue)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Computes the changes needed to turn this map into another map.
+   *
+   * Maps sharing the same heap map whose versions are related through their ancestor maps are compared
+   * only on the keys changed between them, so that the cost depends on the size of the change and not on the size of the maps.
+   * Other maps are compared by scanning all of their entries.
+   *
+   * E.g.:
+   *
+   *     const { inserted, updated, removed, moved } = map.diff(newMap)
+   *
+   * @param {ImmutableLinkedOrderedMap} other The other map.
+   * @return {Object} An object with the following properties:
+   *
+   *                      - inserted: The keys which are only in the other map, as "{ key, value, index }" objects
+   *                                  sorted by position in the other map;
+   *                      - updated: The keys whose value is different (using the triple equality operator "==="),
+   *                                 as "{ key, oldValue, value, oldIndex, index }" objects sorted by position in the other map;
+   *                      - removed: The keys which are only in this map, as "{ key, oldValue, oldIndex }" objects
+   *                                 sorted by position in this map;
+   *                      - moved: The keys whose relative order has changed, as "{ key, oldValue, value, oldIndex, index }" objects
+   *                               sorted by position in the other map. The keys of the longest run keeping its relative order
+   *                               are not considered moved;
+   *
+   * @throws {TypeError} If the other value is not a map.
+   */
+  diff(other) {
+    if (!ImmutableLinkedOrderedMap.isMap(other)) {
+      throw new TypeError(
+        `ImmutableLinkedOrderedMap type error: Cannot diff a value which is not a map`
+      );
+    } else if (this === other) {
+      return {
+        inserted: [],
+        updated: [],
+        removed: [],
+        moved: [],
+      };
+    }
+
+    const changedKeys = changedKeysBetweenRelatedMaps(this, other);
+    if (changedKeys) {
+      return diffRelatedMaps(this, other, changedKeys);
+    }
+    return diffMaps(this, other);
+  }
+
+  /**
+   * Returns the map from which this map has been forked (its parent in the version tree).
+   *
+   * @return {ImmutableLinkedOrderedMap|null} The parent map or null if this map is the root of its version tree.
+   */
+  parent() {
+    return this.ancestorMap;
+  }
+
+  /**
+   * Lazily iterates over the ancestor maps of this map, from its parent map up to the root of its version tree.
+   *
+   * @return {Generator} A generator yielding each ancestor map.
+   */
+  ancestors() {
+    return mapAncestorsIterator(this);
+  }
+
+  /**
+   * Returns the maps forked from this map which are still alive (i.e. which have not been garbage collected),
+   * in the order they have been forked.
+   *
+   * Child maps are tracked lazily: the version tree of this map starts tracking them the first time this method is called
+   * on one of its maps, therefore the maps forked before that call are not listed.
+   * Child maps are tracked only if the environment supports "WeakRef", otherwise an empty array is always returned.
+   *
+   * @return {Array<ImmutableLinkedOrderedMap>} The child maps.
+   */
+  children() {
+    childMapsTrackingHeapMaps.add(this.heapMap);
+    const refs = childMapsRefs.get(this);
+    if (!refs) {
+      return [];
+    }
+    const children = [];
+    const liveRefs = [];
+    for (const ref of refs) {
+      const childMap = ref.deref();
+      if (childMap) {
+        children.push(childMap);
+        liveRefs.push(ref);
+      }
+    }
+    childMapsRefs.set(this, liveRefs);
+    return children;
+  }
+
+  /**
+   * Tests whether this map is an ancestor of another map in the version tree (i.e. whether the other map
+   * has been forked from this map, directly or not).
+   *
+   * @param {ImmutableLinkedOrderedMap} other The other map.
+   * @return {boolean} True if this map is an ancestor of the other map, false otherwise (including when they are the same map).
+   */
+  isAncestorOf(other) {
+    return isAncestorMapOf(this, other);
+  }
+
+  /**
+   * Tests whether this map is a descendant of another map in the version tree (i.e. whether this map
+   * has been forked from the other map, directly or not).
+   *
+   * @param {ImmutableLinkedOrderedMap} other The other map.
+   * @return {boolean} True if this map is a descendant of the other map, false otherwise (including when they are the same map).
+   */
+  isDescendantOf(other) {
+    return (
+      ImmutableLinkedOrderedMap.isMap(other) && isAncestorMapOf(other, this)
+    );
+  }
+
+  /**
+   * Returns the ordered list of the change records which lead from an ancestor map to this map.
+   *
+   * Each version of a map keeps the immutable change records of the operation which created it ("changeRecords")
+   * as objects with the following properties:
+   *
+   *     - operation: Either "insert", "update", "remove", "move", "empty" or "reverse";
+   *     - key: The key (not set for "empty" and "reverse");
+   *     - previousValue: The value of the key before the operation ("undefined" for "insert");
+   *     - value: The value of the key after the operation ("undefined" for "remove");
+   *     - position: An object with the "index" of the key once the whole operation has been applied (before the operation for "remove")
+   *                 and, except for "remove", the key right before it ("afterKey"), which is meaningless if the index is 0;
+   *
+   * The records can be replayed one after the other: removing a key, inserting or moving a key right after its "afterKey"
+   * (or at the head of the map if its index is 0), updating the value of a key, emptying or reversing the map.
+   *
+   * Note that "index" is the final position of the key in the version created by the operation, not its position right after
+   * its own record is replayed: when an operation inserts or moves several keys (e.g. "insertAfter" relocating existing keys),
+   * a key may be at another position until the following records of the same operation are replayed.
+   * Therefore, replaying must position the keys using "afterKey", not "index".
+   *
+   * The change records of the versions between the ancestor map and this map must still be available: they are released
+   * when those versions are garbage collected (if the heap map is compacted automatically) or dropped by a compaction.
+   *
+   * @param {ImmutableLinkedOrderedMap} ancestorMap The ancestor map (this map itself returns an empty list).
+   * @return {Array<Object>} The change records.
+   * @throws {Error} If the given map is not an ancestor of this map or if the change records of a version
+   *                 between the ancestor map and this map are not available anymore.
+   */
+  changesSince(ancestorMap) {
+    const ancestorLink =
+      ImmutableLinkedOrderedMap.isMap(ancestorMap) && ancestorMap[VERSION_LINK];
+    const versions = [];
+    let link = this[VERSION_LINK];
+    while (link !== ancestorLink) {
+      if (!link || !ancestorLink || link.depth <= ancestorLink.depth) {
+        throw new Error(
+          `ImmutableLinkedOrderedMap error: The given map is not an ancestor of this map`
+        );
+      }
+      const version = versionLinkMap(link);
+      if (!version || link.versionsDropped) {
+        throw new Error(
+          `ImmutableLinkedOrderedMap error: The change records since the given map are not available anymore (some versions in between have been garbage collected or compacted)`
+        );
+      }
+      versions.unshift(version);
+      link = link.ancestorLink;
+    }
+    return versions.reduce(
+      (changeRecords, version) => changeRecords.concat(version.changeRecords),
+      []
+    );
+  }
+
+  /**
+   * Compacts the heap map shared by this map and by the other versions of the map, dropping the nodes, the links and the keys
+   * which are only needed by the versions other than this map and the given live maps.
+   *
+   * The version tree is compacted as well: the parent map of a live map becomes its nearest ancestor map which is live.
+   * The live map keeps only the "change" and "changeRecords" of the operation which created it, the changes
+   * of the dropped ancestor maps in between are released (hence "changesSince" cannot go past them anymore).
+   *
+   * Any other version of the map sharing the same heap map must not be used after compacting.
+   * Maps which do not share the heap map of this map are ignored.
+   *
+   * E.g.:
+   *
+   *     const map = new ImmutableLinkedOrderedMap({ initialItems: [{ id: 1 }, { id: 2 }] })
+   *     const a = map.set({ id: 3 })
+   *     const b = a.unset(1)
+   *     b.compact([a]) // Only "a" and "b" can be used from now on, "map" cannot.
+   *     b.parent() // a
+   *
+   * @param {Array<ImmutableLinkedOrderedMap>} [liveMaps] The other versions of the map which are still in use.
+   * @return {ImmutableLinkedOrderedMap} This map.
+   */
+  compact(liveMaps = []) {
+    compactHeapMap(this, liveMaps);
+    return this;
+  }
+
+  /**
+   * Static method to merge multiple maps into a single new version of the first map (see "merge").
+   *
+   * E.g.:
+   *
+   *     ImmutableLinkedOrderedMap.merge(map, otherMap, yetAnotherMap)
+   *     ImmutableLinkedOrderedMap.merge(map, otherMap, {
+   *         resolver: (value, otherValue, key) => ({ ...value, ...otherValue }),
+   *         prependMissing: true
+   *     })
+   *
+   * @param {...ImmutableLinkedOrderedMap|Object} maps The maps to merge, optionally followed by an options object with
+   *                                                   the "resolver" and "prependMissing" parameters of "merge".
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the first map if nothing has changed.
+   */
+  static merge(...maps) {
+    const [
+      mapsToMerge,
+      { resolver = void 0, prependMissing = false },
+    ] = splitCombineMapsOptions(maps);
+    return combineMaps(mapsToMerge, (map, other) =>
+      map.merge(other, resolver, prependMissing)
+    );
+  }
+
+  /**
+   * Static method to add the missing keys of multiple maps to a single new version of the first map (see "union").
+   *
+   * E.g.:
+   *
+   *     ImmutableLinkedOrderedMap.union(map, otherMap, { prependMissing: true })
+   *
+   * @param {...ImmutableLinkedOrderedMap|Object} maps The maps, optionally followed by an options object with
+   *                                                   the "prependMissing" parameter of "union".
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the first map if nothing has changed.
+   */
+  static union(...maps) {
+    const [mapsToUnite, { prependMissing = false }] = splitCombineMapsOptions(
+      maps
+    );
+    return combineMaps(mapsToUnite, (map, other) =>
+      map.union(other, prependMissing)
+    );
+  }
+
+  /**
+   * Static method to keep only the keys of the first map which are in all the other maps (see "intersect").
+   *
+   * @param {...ImmutableLinkedOrderedMap} maps The maps.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the first map if nothing has changed.
+   */
+  static intersect(...maps) {
+    return combineMaps(maps, (map, other) => map.intersect(other));
+  }
+
+  /**
+   * Static method to remove the keys of all the other maps from the first map (see "subtract").
+   *
+   * @param {...ImmutableLinkedOrderedMap} maps The maps.
+   * @return {ImmutableLinkedOrderedMap} A new immutable linked ordered map or the first map if nothing has changed.
+   */
+  static subtract(...maps) {
+    return combineMaps(maps, (map, other) => map.subtract(other));
+  }
+
+  /**
+   * Static method to test whether two maps hold the same ordered entries, usable as a comparator.
+   *
+   * @param {ImmutableLinkedOrderedMap} a A map.
+   * @param {ImmutableLinkedOrderedMap} b Another map.
+   * @return {boolean} True if both are maps with the same ordered entries (values compared with "==="), false otherwise.
+   */
+  static is(a, b) {
+    return (
+      a === b ||
+      (ImmutableLinkedOrderedMap.isMap(a) &&
+        ImmutableLinkedOrderedMap.isMap(b) &&
+        a.equals(b))
+    );
+  }
+
+  /**
+   * Static method to find the deepest common ancestor of two maps in the version tree.
+   *
+   * If one of the maps is an ancestor of the other one, that map is returned.
+   *
+   * @param {ImmutableLinkedOrderedMap} a A map.
+   * @param {ImmutableLinkedOrderedMap} b Another map.
+   * @return {ImmutableLinkedOrderedMap|null} The common ancestor or null if the maps do not belong to the same version tree.
+   */
+  static commonAncestor(a, b) {
+    if (
+      !ImmutableLinkedOrderedMap.isMap(a) ||
+      !ImmutableLinkedOrderedMap.isMap(b)
+    ) {
+      return null;
+    }
+    const linksToCommonLink = versionLinksToCommonLink(a, b);
+    if (!linksToCommonLink) {
+      // Not related.
+      return null;
+    }
+    const [links] = linksToCommonLink;
+    const commonLink = links.length
+      ? links[links.length - 1].ancestorLink
+      : a[VERSION_LINK];
+    // The nearest common ancestor map which has not been garbage collected.
+    for (let link = commonLink; link; link = link.ancestorLink) {
+      const map = versionLinkMap(link);
+      if (map) {
+        return map;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Static method to serialize a map to JSON.
+   *
+   * Note that a function given as the "keyPropName" of the map cannot be serialized,
+   * so the unserialized map will use the default key property name.
+   *
+   * @param {ImmutableLinkedOrderedMap} map A map.
+   * @return {string} The JSON representing the given map.
+   */
+  static toJSON(map) {
+    return JSON.stringify({
+      keyPropName: map.keyPropName,
+      useNativeMap: map.useNativeMap,
+      keysValues: map.keysValues(),
+    });
+  }
+
+  /**
+   * Static method to unserialize a map from its JSON representation.
+   *
+   * @param {string} json A map JSON representation, previously returned by `ImmutableLinkedOrderedMap.toJSON`.
+   * @return {ImmutableLinkedOrderedMap} The unserialized map.
+   */
+  static fromJSON(json) {
+    const parsed = JSON.parse(json);
+    // Entries keep the keys as they were serialized (e.g. numbers stay numbers).
+    const map = lazyMap({
+      keyPropName: parsed.keyPropName,
+      useNativeMap: parsed.useNativeMap,
+      initialEntries: parsed.keysValues.map(({ key, value }) => [key, value]),
+    });
+    return map;
+  }
+}
+
+/* ======================================================================================================== */
+
+/**
+ * Binds two nodes of a map in single mode.
+ *
+ * @param {MultiwayModeImmutableLinkedOrderedMap} map The map.
+ * @param {Object} previousNode Previous node.
+ * @param {Object} nextNode Next node.
+ * @return {undefined}
+ */
+function bindSingleModeNodes(map, previousNode, nextNode) {
+  if (map.reversed) {
+    [previousNode, nextNode] = [nextNode, previousNode];
+  }
+  const { depth } = map;
+  previousNode.next.set(depth, nextNode, true);
+  nextNode.previous.set(depth, previousNode, true);
+}
+
+/**
+ * Makes a new node for an immutable linked ordered map in single mode (used internally).
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Object|null} previous Previous node or null if there isn't one.
+ * @param {Object|null} next Next node or null if there isn't one.
+ * @param {string|number} key The key of the mapped value.
+ * @param {*} value The mapped value.
+ * @return {Object} The node.
+ */
+function makeSingleModeImmutableLinkedOrderedMapNode(
+  map,
+  previous,
+  next,
+  key,
+  value
+) {
+  const { depth } = map;
+
+  const previousDepthMap = new LinkedOrderedMap();
+  previousDepthMap.set(depth, previous);
+
+  const nextDepthMap = new LinkedOrderedMap();
+  nextDepthMap.set(depth, next);
+
+  const node = makeNode(previousDepthMap, nextDepthMap, {
+    key,
+    value,
+  });
+  return node;
+}
+
+/**
+ * Finds a previous or next node of a node in the context of an immutable linked ordered map
+ * in single mode.
+ *
+ * @param {SingleModeImmutableLinkedOrderedMap} map The map.
+ * @param {Object} fromNode From node.
+ * @param {string} nextNodeDirection The direction, either "previous" or "next".
+ * @return {Object|null} The previous node if it exists, or null if it doesn't (e.g. when called on a head node).
+ */
+function findSingleModeMapNodeByDirection(map, fromNode, nextNodeDirection) {
+  if (
+    (fromNode === map.tail && nextNodeDirection === "next") ||
+    (fromNode === map.head && nextNodeDirection === "previous")
+  ) {
+    return null;
+  }
+
+  const entry = findSingleModeDepthMapEntry(
+    map,
+    fromNode[linkDirection(map, nextNodeDirection)]
+  );
+  return entry ? entry[2] : null;
+}
+
+/**
+ * Finds the entry of a depth map of single mode (of the heap map or of the links of a node) which a map resolves to.
+ *
+ * @param {SingleModeImmutableLinkedOrderedMap} map The map.
+ * @param {LinkedOrderedMap} depthMap The depth map.
+ * @return {Array|null} The "[depthMap, depth, node]" entry or null if there isn't one for the map.
+ */
+function findSingleModeDepthMapEntry(map, depthMap) {
+  const { depth } = map;
+  let entry = null;
+  depthMap.forEach((depthKey, v) => {
+    if (depth >= depthKey) {
+      entry = [depthMap, depthKey, v];
+      return false;
+    }
+  });
+  return entry;
+}
+
+/**
+ * Updates a heap map shared structure (structural sharing) of a map in single mode.
+ *
+ * @param {SingleModeImmutableLinkedOrderedMap} map The map which shared heap map should be updated.
+ * @param {Object} itemNode The linked node of the item.
+ * @return {undefined}
+ */
+function updateSingleModeHeapMap(map, itemNode) {
+  inheritNodeOrderLabel(map, itemNode);
+  const { depth } = map;
+  const key = itemNode.element.key;
+
+  let depthMap = heapMapGet(map, key);
+  if (!depthMap) {
+    depthMap = new LinkedOrderedMap();
+    heapMapSet(map, key, depthMap);
+  }
+  depthMap.set(depth, itemNode, true);
+}
+
+/**
+ * Lookups a node in a single mode map.
+ *
+ * @param {SingleModeImmutableLinkedOrderedMap} map The map.
+ * @param {string|number} key The key to lookup.
+ * @return {Object|undefined} The node in the heap map or undefined, if the value for that key is missing.
+ */
+function lookupSingleMode(map, key) {
+  const depthMap = heapMapGet(map, key);
+  if (!depthMap) {
+    return void 0;
+  }
+  const entry = findSingleModeDepthMapEntry(map, depthMap);
+  return entry ? nodeOrUndefined(entry[2]) : void 0;
+}
+
+/**
+ * Throws an error for a second mutation operation on an immutable linkerd ordered map
+ * in single mode.
+ *
+ * @param {string} operation A string identifying the mutation operation.
+ * @return {undefined}
+ * @throws {Error}
+ */
+function throwSingleModemutationOperationOccurredError(operation) {
+  throw new Error(
+    `ImmutableLinkedOrderedMap error: Mutation operation "${operation}" is not allowed on a map in single mode on which a mutation operation already occurred once.`
+  );
+}
+
+/**
+ * Single mode immutable linked ordered map.
+ */
+class SingleModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
+  /**
+   * Constructor.
+   *
+   * @constructor
+   *
+   * @param {Object} options Options.
+   */
+  constructor(options) {
+    const instance = super(options);
+
+    instance.mutationOperationOccurred = false;
+    return instance;
   }
 
   /**
-   * Empties the map.
-   *
-   * The same map instance will be returned if the map is already empty.
-   *
-   * @return {ImmutableLinkedOrderedMap} A new emptied immutable linked ordered map.
+   * {@inheritdoc}
    */
-  empty() {
-    if (this.length <= 0) {
-      // The map is already empty. Nothing has changed.
-      return this;
+  set(items, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("set");
+    const map = super.set(items, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
-
-    const map = new ImmutableLinkedOrderedMap({
-      initialItems: [],
-      keyPropName: this.keyPropName,
-      mode: this.mode,
-    });
-    map.length = 0;
-    map.depth = this.depth + 1;
-    map.ancestorMap = this;
-    mapChange(map, "empty");
     return map;
   }
 
   /**
-   * Lookups a value in the map.
-   *
-   * @param {string|number} key The key to lookup.
-   * @return {*} The associated value, or undefined, if the given key is missing.
+   * {@inheritdoc}
    */
-  get(key) {
-    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
-    if (node) {
-      return node.element.value;
+  replace(oldKey, item, addMissing = false, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("replace");
+    const map = super.replace(oldKey, item, addMissing, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
-    return void 0;
+    return map;
   }
 
   /**
-   * Returns a key/value pair of the first item in the map.
-   *
-   * @return {Object|undefined} An object with the property "key" (the key of the item in the map) and "value"
-   *                            (the value of the item in the map).
-   *                            If the map is empty, "undefined" will be returned.
+   * {@inheritdoc}
    */
-  first() {
-    if (this.head) {
-      return {
-        key: this.head.element.key,
-        value: this.head.element.value,
-      };
-    } else {
-      return void 0;
+  unset(key) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("unset");
+    const map = super.unset(key);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
+    return map;
   }
 
   /**
-   * Returns a key/value pair of the last item in the map.
-   *
-   * @return {Object|undefined} An object with the property "key" (the key of the item in the map) and "value"
-   *                            (the value of the item in the map).
-   *                            If the map is empty, "undefined" will be returned.
+   * {@inheritdoc}
    */
-  last() {
-    if (this.tail) {
-      return {
-        key: this.tail.element.key,
-        value: this.tail.element.value,
-      };
-    } else {
-      return void 0;
+  empty() {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("empty");
+    const map = super.empty();
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
+    return map;
   }
 
   /**
-   * Returns a range of key/value pairs before the given key up to a max number of items
-   * (counting the given key if included).
-   *
-   * @param {string|number} key The key to lookup and use for the creation of the range.
-   * @param {number} maxNumberOfItems Max number of key/value pairs to return for the range including or not including the item at the given key
-   *                                  (depending on the value of the "itemAtKeyIncluded" opton).
-   *                                  By default, all items before the given key are included in the returned range of key/value pairs.
-   * @param {boolean} itemAtKeyIncluded Whether or not to include the item at the given key in the range (by default the item is included).
-   * @return {Array} An array which represents the range, each item being a key/value pair representing an item of the map.
-   *                 An empty array if the given key does not exist in the map or the given key does exist in the map but is not included
-   *                 in the range and its item is the first of the map.
-   *                 An empty array is also returned if "maxNumberOfItems" is less than or equal to 0.
+   * {@inheritdoc}
    */
-  rangeBefore(key, maxNumberOfItems = Infinity, itemAtKeyIncluded = true) {
-    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
-    if (!node || maxNumberOfItems <= 0) {
-      return [];
-    }
-
-    let current = itemAtKeyIncluded
-      ? node
-      : ImmutableLinkedOrderedMapForMode[this.mode].findMapNodeByDirection(
-          this,
-          node,
-          "previous"
-        );
-    if (!current) {
-      return [];
-    }
-
-    const range = [{ key: current.element.key, value: current.element.value }];
-    while (current && range.length < maxNumberOfItems) {
-      current = ImmutableLinkedOrderedMapForMode[
-        this.mode
-      ].findMapNodeByDirection(this, current, "previous");
-      if (!current) {
-        break;
+  withMutations(fn) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("withMutations");
+    let map;
+    try {
+      map = super.withMutations(fn);
+    } finally {
+      // Operations of a draft which threw may have already changed the structure shared with this map.
+      if (this !== map) {
+        this.mutationOperationOccurred = true;
       }
-      range.push({ key: current.element.key, value: current.element.value });
     }
-    return range.reverse();
+    return map;
   }
 
   /**
-   * Returns a range of key/value pairs after the given key up to a max number of items
-   * (counting the given key if included).
-   *
-   * @param {string|number} key The key to lookup and use for the creation of the range.
-   * @param {number} maxNumberOfItems Max number of key/value pairs to return for the range including or not including the item at the given key
-   *                                  (depending on the value of the "itemAtKeyIncluded" opton).
-   *                                  By default, all items after the given key are included in the returned range of key/value pairs.
-   * @param {boolean} itemAtKeyIncluded Whether or not to include the item at the given key in the range (by default the item is included).
-   * @return {Array} An array which represents the range, each item being a key/value pair representing an item of the map.
-   *                 An empty array if the given key does not exist in the map or the given key does exist in the map but is not included
-   *                 in the range and its item is the last of the map.
-   *                 An empty array is also returned if "maxNumberOfItems" is less than or equal to 0.
+   * {@inheritdoc}
    */
-  rangeAfter(key, maxNumberOfItems = Infinity, itemAtKeyIncluded = true) {
-    const node = ImmutableLinkedOrderedMapForMode[this.mode].lookup(this, key);
-    if (!node || maxNumberOfItems <= 0) {
-      return [];
+  setIn(path, value, options = {}) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("setIn");
+    const map = super.setIn(path, value, options);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
+    return map;
+  }
 
-    let current = itemAtKeyIncluded
-      ? node
-      : ImmutableLinkedOrderedMapForMode[this.mode].findMapNodeByDirection(
-          this,
-          node,
-          "next"
-        );
-    if (!current) {
-      return [];
+  /**
+   * {@inheritdoc}
+   */
+  updateIn(path, updater, notSetValue = void 0, options = {}) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("updateIn");
+    const map = super.updateIn(path, updater, notSetValue, options);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
+    return map;
+  }
 
-    const range = [{ key: current.element.key, value: current.element.value }];
-    while (current && range.length < maxNumberOfItems) {
-      current = ImmutableLinkedOrderedMapForMode[
-        this.mode
-      ].findMapNodeByDirection(this, current, "next");
-      if (!current) {
-        break;
-      }
-      range.push({ key: current.element.key, value: current.element.value });
+  /**
+   * {@inheritdoc}
+   */
+  unsetIn(path, options = {}) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("unsetIn");
+    const map = super.unsetIn(path, options);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
-    return range;
+    return map;
   }
 
   /**
-   * Tests if the map is empty.
-   *
-   * @return {boolean} True if the map is empty, false otherwise.
+   * {@inheritdoc}
    */
-  isEmpty() {
-    return this.length <= 0;
+  update(key, updater) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("update");
+    const map = super.update(key, updater);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Loop through all the values of this immutable linked ordered map in the order they were added.
-   *
-   * @param {Function} fn A callback function to call for each value stored in the map.
-   *                      The callback will receive the value as the first argument, the key as the second argument
-   *                      and the index of the item in the map as the third argument.
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   * @return {undefined}
+   * {@inheritdoc}
    */
-  forEach(fn, reversed = false) {
-    let key;
-    let value;
-    let current;
-    let nextNodeDirection;
-    let i;
-    let updateI;
-
-    this.shouldNextForEachBreak = false;
-    this.forEachNextFn = void 0;
+  upsert(key, updater, notSetValue = void 0, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("upsert");
+    const map = super.upsert(key, updater, notSetValue, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
 
-    if (reversed) {
-      current = this.tail;
-      nextNodeDirection = "previous";
-      i = this.length - 1;
-      updateI = () => i--;
-    } else {
-      current = this.head;
-      nextNodeDirection = "next";
-      i = 0;
-      updateI = () => i++;
+  /**
+   * {@inheritdoc}
+   */
+  merge(other, resolver = void 0, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("merge");
+    const map = super.merge(other, resolver, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
+    return map;
+  }
 
-    while (current) {
-      if (!this.shouldNextForEachBreak) {
-        const element = current.element;
-        key = element.key;
-        value = element.value;
-        const result = (this.forEachNextFn || fn).call(this, value, key, i);
-        if (result === false) {
-          // Break instantly.
-          break;
-        }
-        current = ImmutableLinkedOrderedMapForMode[
-          this.mode
-        ].findMapNodeByDirection(this, current, nextNodeDirection);
-        updateI();
-      } else {
-        break;
-      }
+  /**
+   * {@inheritdoc}
+   */
+  union(other, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("union");
+    const map = super.union(other, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
+    return map;
   }
 
   /**
-   * Break the next "forEach" loop iteration occurring on this immutable linked ordered map.
-   *
-   * @return {undefined}
+   * {@inheritdoc}
    */
-  break() {
-    this.shouldNextForEachBreak = true;
+  intersect(other) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("intersect");
+    const map = super.intersect(other);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Returns an array of values of this map.
-   *
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   *                             If "reversed" is set to "true", the returned values will be in reverse order.
-   * @return {Array} An array of all the values of this map, in the order they were added to the map.
+   * {@inheritdoc}
    */
-  values(reversed = false) {
-    const array = new Array(this.length);
-    let i = 0;
-    this.forEach(function (value) {
-      array[i] = value;
-      i++;
-    }, reversed);
-    return array;
+  subtract(other) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("subtract");
+    const map = super.subtract(other);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Returns an array of keys of this map.
-   *
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   *                             If "reversed" is set to "true", the returned keys will be in reverse order.
-   * @return {Array} An array of all the keys of this map, in the order they were added to the map.
+   * {@inheritdoc}
    */
-  keys(reversed = false) {
-    const array = new Array(this.length);
-    let i = 0;
-    this.forEach(function (value, key) {
-      array[i] = key;
-      i++;
-    }, reversed);
-    return array;
+  sort(comparator) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("sort");
+    const map = super.sort(comparator);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Returns an array of key/value pairs for each item in the map.
-   *
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   *                             If "reversed" is set to "true", the returned key/value pairs will be in reverse order.
-   * @return {Array} An array of objects where each object has the property "key" (the key of the item in the map)
-   *                 and "value" (the value of the item in the map).
+   * {@inheritdoc}
    */
-  keysValues(reversed = false) {
-    const array = new Array(this.length);
-    let i = 0;
-    this.forEach((value, key) => {
-      array[i] = {
-        key,
-        value,
-      };
-      i++;
-    }, reversed);
-    return array;
+  sortBy(selector, comparator) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("sortBy");
+    const map = super.sortBy(selector, comparator);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Map all the values of this immutable linked ordered map in the order they were added
-   * to a new array.
-   *
-   * @param {Function} fn A callback function to call for each value stored in the map.
-   *                      The callback will receive the value as the first argument,
-   *                      the key as the second argument, and the index of the item in the map as the third argument.
-   *                      It's return value will be used as an element of the returned array for that item.
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   *                             If "reversed" is set to "true", the returned mapped values will be in reverse order.
-   * @return {Array} An array with the mapped values.
+   * {@inheritdoc}
    */
-  map(fn, reversed = false) {
-    const array = new Array(this.length);
-    let i = 0;
-    this.forEach((value, key, index) => {
-      array[i] = fn(value, key, index);
-      i++;
-    }, reversed);
-    return array;
+  sortByKey(comparator) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("sortByKey");
+    const map = super.sortByKey(comparator);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Reduce all the values of this immutable linked ordered map to a single output value.
-   *
-   * @param {Function} fn A callback function to call for each value stored in the map.
-   *                      The callback will receive the accumulator as the first argument,
-   *                      the current value as the second argument, the current value's key as the third argument
-   *                      and the index of the item in the map as the fourth argument.
-   *
-   *                      It's return value is assigned to the accumulator, whose value is remembered across each iteration
-   *                      throughout the map and ultimately becomes the final, single resulting value.
-   *
-   *                      The first time the callback is called, accumulator and current value can be one of two values.
-   *                      If "initialValue" is provided in the call to "reduce()", then accumulator will be equal to "initialValue",
-   *                      and the current value will be equal to the first value in the map.
-   *                      If no "initialValue" is provided, then the accumulator will be equal to the first or last value in the map
-   *                      (if "reversed" is either "false" or "true", respectively), and the current value will be equal to the value of
-   *                      the next or previous item (again, if "reversed" is either "false" or "true", respectively).
-   * @param {*} initialValue A value to use as the first argument to the first call of the callback.
-   *                         If no "initialValue" is supplied, the first element in the map will be used and skipped.
-   *                         Calling "reduce()" on an empty map without an initial value will throw a "TypeError".
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   * @return {*} The single value that results from the reduction.
+   * {@inheritdoc}
    */
-  reduce(fn, initialValue, reversed = false) {
-    const hasInitialValue = arguments.length > 1;
-    let acc;
-    let skipFirst = false;
+  reverse() {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("reverse");
+    const map = super.reverse();
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
 
-    if (!hasInitialValue) {
-      if (!this.length) {
-        throw new TypeError(
-          `ImmutableLinkedOrderedMap type error: Reduce of empty map with no initial value`
-        );
-      }
-      skipFirst = true;
-      acc = (reversed ? this.last() : this.first()).value;
-    } else {
-      acc = initialValue;
+  /**
+   * {@inheritdoc}
+   */
+  mapValues(fn) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("mapValues");
+    const map = super.mapValues(fn);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
     }
+    return map;
+  }
 
-    const accFn = (value, key, index) => {
-      acc = fn(acc, value, key, index);
-    };
-    const overridableFn = function (value, key, index) {
-      this.forEachNextFn = accFn;
-      if (skipFirst) {
-        return;
-      }
-      accFn(value, key, index);
-    };
-    this.forEach(overridableFn, reversed);
+  /**
+   * {@inheritdoc}
+   */
+  filterMap(fn) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("filterMap");
+    const map = super.filterMap(fn);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
 
-    return acc;
+  /**
+   * {@inheritdoc}
+   */
+  mapEntries(fn) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("mapEntries");
+    const map = super.mapEntries(fn);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Filters the values of this immutable linked ordered map returning an array with the filtered values.
-   *
-   * @param {Function} fn A callback function to call for each value stored in the map.
-   *                      The callback will receive the value as the first argument,
-   *                      the key as the second argument, and the index of the item in the map as the third argument.
-   *                      The values for which the callback returned a falsy value will not be added to the returned
-   *                      array of filtered items.
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   *                             If "reversed" is set to "true", the returned filtered values will be in reverse order.
-   * @return {Array} An array with the filtered values.
+   * {@inheritdoc}
    */
-  filter(fn, reversed = false) {
-    const array = [];
-    let i = 0;
-    this.forEach((value, key, index) => {
-      const res = fn(value, key, index);
-      if (res) {
-        array[i] = value;
-        i++;
-      }
-    }, reversed);
-    return array;
+  moveBefore(key, targetKey) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("moveBefore");
+    const map = super.moveBefore(key, targetKey);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Tests whether all values in the map pass the test implemented by the provided function.
-   *
-   * @param {Function} fn A callback function to call for each value stored in the map.
-   *                      The callback will receive the value as the first argument, the key as the second argument
-   *                      and the index of the item in the map as the third argument.
-   *                      If the returned value of the callback for a given value is falsy, this method will instantly return "false".
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   * @return {boolean} "true" all values in the map pass the test implemented by the provided callback function, "false" otherwise.
+   * {@inheritdoc}
    */
-  every(fn, reversed = false) {
-    let allTrue = true;
-    this.forEach((value, key, index) => {
-      const res = fn(value, key, index);
-      if (!res) {
-        allTrue = false;
-        return false;
-      }
-    }, reversed);
-    return allTrue;
+  moveAfter(key, targetKey) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("moveAfter");
+    const map = super.moveAfter(key, targetKey);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  moveToHead(key) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("moveToHead");
+    const map = super.moveToHead(key);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  moveToTail(key) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("moveToTail");
+    const map = super.moveToTail(key);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Tests whether at least one element in the map passes the test implemented by the provided function.
-   *
-   * @param {Function} fn A callback function to call for each value stored in the map.
-   *                      The callback will receive the value as the first argument, the key as the second argument
-   *                      and the index of the item in the map as the third argument.
-   *                      If the returned value of the callback for a given value is truthy, this method will instantly return "true".
-   * @param {boolean} [reversed] An optional boolean indicating whether to loop in reverse order (starting
-   *                             from the tail node). The default is to loop through all the elements starting
-   *                             from the head node.
-   * @return {boolean} "true" if at least one element passes the test implemented by the provided callback function, "false" otherwise.
+   * {@inheritdoc}
    */
-  some(fn, reversed = false) {
-    let ret = false;
-    this.forEach((value, key, index) => {
-      const res = fn(value, key, index);
-      if (res) {
-        ret = true;
-        return false;
-      }
-    }, reversed);
-    return ret;
+  swap(keyA, keyB) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("swap");
+    const map = super.swap(keyA, keyB);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Static method to serialize a map to JSON.
-   *
-   * @param {ImmutableLinkedOrderedMap} map A map.
-   * @return {string} The JSON representing the given map.
+   * {@inheritdoc}
    */
-  static toJSON(map) {
-    return JSON.stringify({
-      keyPropName: map.keyPropName,
-      keysValues: map.keysValues(),
-    });
+  insertBefore(targetKey, items, relocateExisting = false) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("insertBefore");
+    const map = super.insertBefore(targetKey, items, relocateExisting);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
-   * Static method to unserialize a map from its JSON representation.
-   *
-   * @param {string} json A map JSON representation, previously returned by `ImmutableLinkedOrderedMap.toJSON`.
-   * @return {ImmutableLinkedOrderedMap} The unserialized map.
+   * {@inheritdoc}
    */
-  static fromJSON(json) {
-    const parsed = JSON.parse(json);
-    const map = lazyMapFactory(parsed.keyPropName)(
-      parsed.keysValues.map(({ key, value }) => ({ [key]: value }))
-    );
+  insertAfter(targetKey, items, relocateExisting = false) {
+    this.mutationOperationOccurred &&
+      throwSingleModemutationOperationOccurredError("insertAfter");
+    const map = super.insertAfter(targetKey, items, relocateExisting);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
     return map;
   }
 }
@@ -1759,21 +5985,64 @@ class ImmutableLinkedOrderedMap {
 /* ======================================================================================================== */
 
 /**
- * Binds two nodes of a map in single mode.
+ * Binds two nodes of a map in multiway mode.
  *
  * @param {MultiwayModeImmutableLinkedOrderedMap} map The map.
  * @param {Object} previousNode Previous node.
  * @param {Object} nextNode Next node.
  * @return {undefined}
  */
-function bindSingleModeNodes(map, previousNode, nextNode) {
-  const { depth } = map;
-  previousNode.next.set(depth, nextNode, true);
-  nextNode.previous.set(depth, previousNode, true);
+function bindMultiwayModeNodes(map, previousNode, nextNode) {
+  if (map.reversed) {
+    [previousNode, nextNode] = [nextNode, previousNode];
+  }
+  const { depth, version } = map;
+
+  const previousNodeDepthMap = multiwayModeVersionMapOfDepth(
+    previousNode.next,
+    depth
+  );
+  previousNodeDepthMap.set(version, nextNode, true);
+
+  const nextNodeDepthMap = multiwayModeVersionMapOfDepth(
+    nextNode.previous,
+    depth
+  );
+  nextNodeDepthMap.set(version, previousNode, true);
 }
 
 /**
- * Makes a new node for an immutable linked ordered map in single mode (used internally).
+ * Gets the version map of a depth from a depth map of multiway mode (of the heap map or of the links of a node),
+ * creating it if needed.
+ *
+ * Depths are kept in descending order, as lookups take the first depth which is not greater than the depth of the map
+ * having an ancestor version. Branching from an ancestor map may add a depth lower than the ones already there.
+ *
+ * A new depth is usually the deepest one, which is found right away at the head of the depth map.
+ * Otherwise, finding its position stops at the first lower depth, which lookups from the map at a lower depth
+ * the new version has been forked from walk past anyway, so it costs no more than those lookups.
+ *
+ * @param {LinkedOrderedMap} depthMap The depth map.
+ * @param {number} depth The depth.
+ * @return {LinkedOrderedMap} The version map of the depth.
+ */
+function multiwayModeVersionMapOfDepth(depthMap, depth) {
+  if (!depthMap.map[depth]) {
+    let beforeNode = depthMap.keyValueList.head;
+    while (beforeNode && beforeNode.element.key > depth) {
+      beforeNode = beforeNode.next;
+    }
+    depthMap.setBefore(
+      depth,
+      new LinkedOrderedMap(),
+      beforeNode ? beforeNode.element.key : void 0
+    );
+  }
+  return depthMap.get(depth);
+}
+
+/**
+ * Makes a new node for an immutable linked ordered map in multiway mode (used internally).
  *
  * @param {ImmutableLinkedOrderedMap} map The map.
  * @param {Object|null} previous Previous node or null if there isn't one.
@@ -1782,20 +6051,24 @@ function bindSingleModeNodes(map, previousNode, nextNode) {
  * @param {*} value The mapped value.
  * @return {Object} The node.
  */
-function makeSingleModeImmutableLinkedOrderedMapNode(
+function makeMultiwayModeImmutableLinkedOrderedMapNode(
   map,
   previous,
   next,
   key,
   value
 ) {
-  const { depth } = map;
+  const { depth, version } = map;
 
   const previousDepthMap = new LinkedOrderedMap();
-  previousDepthMap.set(depth, previous);
+  const previousVersionMap = new LinkedOrderedMap();
+  previousVersionMap.set(version, previous);
+  previousDepthMap.set(depth, previousVersionMap);
 
   const nextDepthMap = new LinkedOrderedMap();
-  nextDepthMap.set(depth, next);
+  const nextVersionMap = new LinkedOrderedMap();
+  nextVersionMap.set(version, next);
+  nextDepthMap.set(depth, nextVersionMap);
 
   const node = makeNode(previousDepthMap, nextDepthMap, {
     key,
@@ -1804,16 +6077,28 @@ function makeSingleModeImmutableLinkedOrderedMapNode(
   return node;
 }
 
+/**
+ * Hydrates a map in multiway mode.
+ *
+ * @param {string} version The version of the map in the context of the version tree,
+ *                         used during lookups.
+ */
+function hydrateMultiwayMode({
+  version = MULTIWAY_MODE_INITIAL_MAP_TREE_DEPTH_VERSION,
+} = {}) {
+  this.version = version;
+}
+
 /**
  * Finds a previous or next node of a node in the context of an immutable linked ordered map
- * in single mode.
+ * in multiway mode.
  *
- * @param {SingleModeImmutableLinkedOrderedMap} map The map.
+ * @param {MultiwayModeImmutableLinkedOrderedMap} map The map.
  * @param {Object} fromNode From node.
  * @param {string} nextNodeDirection The direction, either "previous" or "next".
  * @return {Object|null} The previous node if it exists, or null if it doesn't (e.g. when called on a head node).
  */
-function findSingleModeMapNodeByDirection(map, fromNode, nextNodeDirection) {
+function findMultiwayModeMapNodeByDirection(map, fromNode, nextNodeDirection) {
   if (
     (fromNode === map.tail && nextNodeDirection === "next") ||
     (fromNode === map.head && nextNodeDirection === "previous")
@@ -1821,78 +6106,299 @@ function findSingleModeMapNodeByDirection(map, fromNode, nextNodeDirection) {
     return null;
   }
 
-  const { depth } = map;
-  const directionMap = fromNode[nextNodeDirection];
-  let node = null;
-  directionMap.forEach((depthKey, v) => {
+  const entry = findMultiwayModeDepthMapEntry(
+    map,
+    fromNode[linkDirection(map, nextNodeDirection)]
+  );
+  return entry ? entry[2] : null;
+}
+
+/**
+ * Finds the entry of a depth map of multiway mode (of the heap map or of the links of a node) which a map resolves to.
+ *
+ * The depths are searched from the deepest one not deeper than the map and each stack of versions from its most recent version,
+ * skipping the depths where the version which is an ancestor of the version of the map has a null node.
+ *
+ * @param {MultiwayModeImmutableLinkedOrderedMap} map The map.
+ * @param {LinkedOrderedMap} depthMap The depth map.
+ * @return {Array|null} The "[versionMap, version, node]" entry or null if there isn't one for the map.
+ */
+function findMultiwayModeDepthMapEntry(map, depthMap) {
+  const { depth, version } = map;
+  let entry = null;
+  depthMap.forEach((depthKey, v) => {
     if (depth >= depthKey) {
-      node = v;
-      return false;
+      v.forEach((stackVersion, possibleNode) => {
+        if (isAncestorVersionOfDescendantVersion(stackVersion, version)) {
+          entry = possibleNode ? [v, stackVersion, possibleNode] : null;
+          return false;
+        }
+      });
+      if (entry) {
+        return false;
+      }
     }
   });
-  return node;
+  return entry;
 }
 
 /**
- * Updates a heap map shared structure (structural sharing) of a map in single mode.
+ * Compacts a depth map of multiway mode, removing the versions which are not live and the depths left without versions.
+ *
+ * @param {LinkedOrderedMap} depthMap The depth map.
+ * @param {Map<LinkedOrderedMap, Set>} liveEntries The live versions of each version map.
+ * @return {undefined}
+ */
+function compactMultiwayModeDepthMap(depthMap, liveEntries) {
+  for (const depthKey of depthMap.keys()) {
+    const versionMap = depthMap.get(depthKey);
+    removeDeadEntries(versionMap, liveEntries);
+    if (versionMap.isEmpty()) {
+      depthMap.remove(depthKey);
+    }
+  }
+}
+
+/**
+ * Updates a heap map shared structure (structural sharing) of a map in multiway mode.
+ *
+ * @param {MultiwayModeImmutableLinkedOrderedMap} map The map which shared heap map should be updated.
+ * @param {Object} itemNode The linked node of the item.
+ * @return {undefined}
+ */
+function updateMultiWayModeHeapMap(map, itemNode) {
+  inheritNodeOrderLabel(map, itemNode);
+  const { depth, version } = map;
+  const key = itemNode.element.key;
+
+  let depthMap = heapMapGet(map, key);
+  if (!depthMap) {
+    depthMap = new LinkedOrderedMap();
+    heapMapSet(map, key, depthMap);
+  }
+  // The version map of the depth functions as a stack.
+  const stack = multiwayModeVersionMapOfDepth(depthMap, depth);
+
+  // Always prepend a new version. Indeed, "stack" here (which is a linked ordered map)
+  // acts like a stack data structure.
+  stack.set(version, itemNode, true);
+}
+
+/**
+ * Lookups a node in a multiway mode map.
+ *
+ * @param {MultiwayModeImmutableLinkedOrderedMap} map The map.
+ * @param {string|number} key The key to lookup.
+ * @return {Object|undefined} The node in the heap map or undefined, if the value for that key is missing.
+ */
+function lookupMultiwayMode(map, key) {
+  const depthMap = heapMapGet(map, key);
+  if (!depthMap) {
+    return void 0;
+  }
+  const entry = findMultiwayModeDepthMapEntry(map, depthMap);
+  return entry ? nodeOrUndefined(entry[2]) : void 0;
+}
+
+/**
+ * Called when a map in multiway mode is forked.
+ *
+ * @param {ImmutableLinkedOrderedMap} ancestorMap Ancestor map.
+ * @param {ImmutableLinkedOrderedMap} forkedMap The forked map.
+ * @return {ImmutableLinkedOrderedMap} forkedMap The forked map.
+ */
+function forkMultiwayModeMap(ancestorMap, forkedMap) {
+  forkedMap.version = !ancestorMap.version.length
+    ? `${++ancestorMap.childrenCount}${MULTIWAY_MODE_MAP_TREE_DEPTH_VERSION_SEPARATOR}`
+    : `${
+        ancestorMap.version
+      }${++ancestorMap.childrenCount}${MULTIWAY_MODE_MAP_TREE_DEPTH_VERSION_SEPARATOR}`;
+  return forkedMap;
+}
+
+/**
+ * Tests if a version is an ancestor version of a descendant version (used internally for maps in multiway mode).
+ *
+ * @param {string} possibleAncestorVersion Possible ancestor version.
+ * @param {string} descendantVersion Descendant version.
+ * @return {boolean} True if the given possible ancestor version is in fact the ancestor version of the given descendant version,
+ *                   false otherwise.
+ */
+function isAncestorVersionOfDescendantVersion(
+  possibleAncestorVersion,
+  descendantVersion
+) {
+  return (
+    descendantVersion.substring(0, possibleAncestorVersion.length) ===
+    possibleAncestorVersion
+  );
+}
+
+/**
+ * Multiway mode immutable linked ordered map.
+ */
+class MultiwayModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
+  /**
+   * Constructor.
+   *
+   * @constructor
+   *
+   * @param {Object} options Options.
+   */
+  constructor(options) {
+    const instance = super(options);
+
+    instance.childrenCount = 0;
+    return instance;
+  }
+}
+
+/* ======================================================================================================== */
+
+/**
+ * Binds two nodes of a map in lightweight mode.
+ *
+ * @param {LightweightModeImmutableLinkedOrderedMap} map The map.
+ * @param {Object} previousNode Previous node.
+ * @param {Object} nextNode Next node.
+ * @return {undefined}
+ */
+function bindLightweightModeNodes(map, previousNode, nextNode) {
+  if (map.reversed) {
+    [previousNode, nextNode] = [nextNode, previousNode];
+  }
+  previousNode.next = nextNode;
+  nextNode.previous = previousNode;
+}
+
+/**
+ * Lookups a node in a lightweight mode map.
+ *
+ * @param {LightweightModeImmutableLinkedOrderedMap} map The map.
+ * @param {string|number} key The key to lookup.
+ * @return {Object|undefined} The node in the heap map or undefined, if the value for that key is missing.
+ */
+function lookupLightweightMode(map, key) {
+  const node = heapMapGet(map, key);
+  return nodeOrUndefined(node);
+}
+
+/**
+ * Updates a heap map shared structure (structural sharing) of a map in multiway mode.
  *
- * @param {SingleModeImmutableLinkedOrderedMap} map The map which shared heap map should be updated.
+ * @param {LightweightModeImmutableLinkedOrderedMap} map The map which shared heap map should be updated.
  * @param {Object} itemNode The linked node of the item.
  * @return {undefined}
  */
-function updateSingleModeHeapMap(map, itemNode) {
-  const { heapMap, depth } = map;
+function updateLightweightModeHeapMap(map, itemNode) {
+  inheritNodeOrderLabel(map, itemNode);
   const key = itemNode.element.key;
+  heapMapSet(map, key, itemNode);
+}
 
-  if (!heapMap[key]) {
-    // Depth map.
-    heapMap[key] = new LinkedOrderedMap();
+/**
+ * Compacts the heap map of a map in lightweight mode, dropping the keys which have been removed from the map.
+ *
+ * Only the last version of a map in lightweight mode can be used, therefore there aren't other live maps to consider.
+ *
+ * @param {LightweightModeImmutableLinkedOrderedMap} map The map.
+ * @return {undefined}
+ */
+function compactLightweightModeHeapMap(map) {
+  for (const key of heapMapKeys(map)) {
+    if (isOrphanNode(heapMapGet(map, key))) {
+      heapMapDelete(map, key);
+    }
   }
-  heapMap[key].set(depth, itemNode, true);
 }
 
 /**
- * Lookups a node in a single mode map.
+ * Finds a previous or next node of a node in the context of an immutable linked ordered map
+ * in lightweight mode.
  *
- * @param {SingleModeImmutableLinkedOrderedMap} map The map.
- * @param {string|number} key The key to lookup.
- * @return {Object|undefined} The node in the heap map or undefined, if the value for that key is missing.
+ * @param {LightweightModeImmutableLinkedOrderedMap} map The map.
+ * @param {Object} fromNode From node.
+ * @param {string} nextNodeDirection The direction, either "previous" or "next".
+ * @return {Object|null} The previous node if it exists, or null if it doesn't (e.g. when called on a head node).
  */
-function lookupSingleMode(map, key) {
-  const { heapMap, depth } = map;
+function findLightweightModeMapNodeByDirection(
+  map,
+  fromNode,
+  nextNodeDirection
+) {
+  return fromNode[linkDirection(map, nextNodeDirection)];
+}
 
-  if (!heapMap[key]) {
-    return void 0;
-  }
-  const depthMap = heapMap[key];
-  let node;
-  depthMap.forEach((depthKey, v) => {
-    if (depth >= depthKey) {
-      node = v;
-      return false;
-    }
+/**
+ * Makes a new node for an immutable linked ordered map in lightweight mode (used internally).
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Object|null} previous Previous node or null if there isn't one.
+ * @param {Object|null} next Next node or null if there isn't one.
+ * @param {string|number} key The key of the mapped value.
+ * @param {*} value The mapped value.
+ * @return {Object} The node.
+ */
+function makeLightweightModeImmutableLinkedOrderedMapNode(
+  map,
+  previous,
+  next,
+  key,
+  value
+) {
+  // "map" is not used in this function when we are in lightweight mode.
+  const node = makeNode(previous, next, {
+    key,
+    value,
   });
-  return nodeOrUndefined(node);
+  return node;
 }
 
 /**
  * Throws an error for a second mutation operation on an immutable linkerd ordered map
- * in single mode.
+ * in lightweight mode.
  *
  * @param {string} operation A string identifying the mutation operation.
  * @return {undefined}
  * @throws {Error}
  */
-function throwSingleModemutationOperationOccurredError(operation) {
+function throwLightweightModeOperationAftermutationOperationOccurredError(
+  operation
+) {
   throw new Error(
-    `ImmutableLinkedOrderedMap error: Mutation operation "${operation}" is not allowed on a map in single mode on which a mutation operation already occurred once.`
+    `ImmutableLinkedOrderedMap error: Operation "${operation}" is not allowed on a map in lightweight mode on which a mutation operation occurred once.`
   );
 }
 
 /**
- * Single mode immutable linked ordered map.
+ * Lazily iterates over an iterator of a map in lightweight mode, throwing if it is advanced
+ * after a mutation operation occurred on the map (its nodes are mutated in place,
+ * therefore the remaining items would mix the state before and after the mutation).
+ *
+ * @param {ImmutableLinkedOrderedMap} map The map.
+ * @param {Iterator} iterator The iterator of the map.
+ * @param {string} operation A string identifying the operation which returned the iterator.
+ * @return {Generator} A generator yielding the values of the iterator.
+ * @throws {Error} When advanced after a mutation operation occurred on the map.
  */
-class SingleModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
+function* lightweightModeMapIterator(map, iterator, operation) {
+  for (;;) {
+    map.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        operation
+      );
+    const { value, done } = iterator.next();
+    if (done) {
+      return;
+    }
+    yield value;
+  }
+}
+
+/**
+ * Lightweight mode immutable linked ordered map.
+ */
+class LightweightModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
   /**
    * Constructor.
    *
@@ -1910,10 +6416,228 @@ class SingleModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
   /**
    * {@inheritdoc}
    */
-  set(items, prependMissing = false) {
+  set(items, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("set");
+    const map = super.set(items, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  replace(oldKey, item, addMissing = false, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "replace"
+      );
+    const map = super.replace(oldKey, item, addMissing, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  unset(key) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("unset");
+    const map = super.unset(key);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  empty() {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("empty");
+    const map = super.empty();
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  withMutations(fn) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "withMutations"
+      );
+    let map;
+    try {
+      map = super.withMutations(fn);
+    } finally {
+      // Operations of a draft which threw may have already changed the structure shared with this map.
+      if (this !== map) {
+        this.mutationOperationOccurred = true;
+      }
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  setIn(path, value, options = {}) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("setIn");
+    const map = super.setIn(path, value, options);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  updateIn(path, updater, notSetValue = void 0, options = {}) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "updateIn"
+      );
+    const map = super.updateIn(path, updater, notSetValue, options);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  unsetIn(path, options = {}) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "unsetIn"
+      );
+    const map = super.unsetIn(path, options);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  update(key, updater) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "update"
+      );
+    const map = super.update(key, updater);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  upsert(key, updater, notSetValue = void 0, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "upsert"
+      );
+    const map = super.upsert(key, updater, notSetValue, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  merge(other, resolver = void 0, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("merge");
+    const map = super.merge(other, resolver, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  union(other, prependMissing = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("union");
+    const map = super.union(other, prependMissing);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  intersect(other) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "intersect"
+      );
+    const map = super.intersect(other);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  subtract(other) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "subtract"
+      );
+    const map = super.subtract(other);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  sort(comparator) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("sort");
+    const map = super.sort(comparator);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  sortBy(selector, comparator) {
     this.mutationOperationOccurred &&
-      throwSingleModemutationOperationOccurredError("set");
-    const map = super.set(items, prependMissing);
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "sortBy"
+      );
+    const map = super.sortBy(selector, comparator);
     if (this !== map) {
       this.mutationOperationOccurred = true;
     }
@@ -1923,10 +6647,12 @@ class SingleModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
   /**
    * {@inheritdoc}
    */
-  replace(oldKey, item, addMissing = false, prependMissing = false) {
+  sortByKey(comparator) {
     this.mutationOperationOccurred &&
-      throwSingleModemutationOperationOccurredError("replace");
-    const map = super.replace(oldKey, item, addMissing, prependMissing);
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "sortByKey"
+      );
+    const map = super.sortByKey(comparator);
     if (this !== map) {
       this.mutationOperationOccurred = true;
     }
@@ -1936,10 +6662,12 @@ class SingleModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
   /**
    * {@inheritdoc}
    */
-  unset(key) {
+  reverse() {
     this.mutationOperationOccurred &&
-      throwSingleModemutationOperationOccurredError("unset");
-    const map = super.unset(key);
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "reverse"
+      );
+    const map = super.reverse();
     if (this !== map) {
       this.mutationOperationOccurred = true;
     }
@@ -1949,361 +6677,115 @@ class SingleModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
   /**
    * {@inheritdoc}
    */
-  empty() {
+  mapValues(fn) {
     this.mutationOperationOccurred &&
-      throwSingleModemutationOperationOccurredError("empty");
-    const map = super.empty();
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "mapValues"
+      );
+    const map = super.mapValues(fn);
     if (this !== map) {
       this.mutationOperationOccurred = true;
     }
     return map;
   }
-}
-
-/* ======================================================================================================== */
-
-/**
- * Binds two nodes of a map in multiway mode.
- *
- * @param {MultiwayModeImmutableLinkedOrderedMap} map The map.
- * @param {Object} previousNode Previous node.
- * @param {Object} nextNode Next node.
- * @return {undefined}
- */
-function bindMultiwayModeNodes(map, previousNode, nextNode) {
-  const { depth, version } = map;
-
-  if (!previousNode.next.map[depth]) {
-    previousNode.next.set(depth, new LinkedOrderedMap(), true);
-  }
-  const previousNodeDepthMap = previousNode.next.get(depth);
-  previousNodeDepthMap.set(version, nextNode, true);
-
-  if (!nextNode.previous.map[depth]) {
-    nextNode.previous.set(depth, new LinkedOrderedMap(), true);
-  }
-  const nextNodeDepthMap = nextNode.previous.get(depth);
-  nextNodeDepthMap.set(version, previousNode, true);
-}
-
-/**
- * Makes a new node for an immutable linked ordered map in multiway mode (used internally).
- *
- * @param {ImmutableLinkedOrderedMap} map The map.
- * @param {Object|null} previous Previous node or null if there isn't one.
- * @param {Object|null} next Next node or null if there isn't one.
- * @param {string|number} key The key of the mapped value.
- * @param {*} value The mapped value.
- * @return {Object} The node.
- */
-function makeMultiwayModeImmutableLinkedOrderedMapNode(
-  map,
-  previous,
-  next,
-  key,
-  value
-) {
-  const { depth, version } = map;
-
-  const previousDepthMap = new LinkedOrderedMap();
-  const previousVersionMap = new LinkedOrderedMap();
-  previousVersionMap.set(version, previous);
-  previousDepthMap.set(depth, previousVersionMap);
-
-  const nextDepthMap = new LinkedOrderedMap();
-  const nextVersionMap = new LinkedOrderedMap();
-  nextVersionMap.set(version, next);
-  nextDepthMap.set(depth, nextVersionMap);
-
-  const node = makeNode(previousDepthMap, nextDepthMap, {
-    key,
-    value,
-  });
-  return node;
-}
-
-/**
- * Hydrates a map in multiway mode.
- *
- * @param {string} version The version of the map in the context of the version tree,
- *                         used during lookups.
- */
-function hydrateMultiwayMode({
-  version = MULTIWAY_MODE_INITIAL_MAP_TREE_DEPTH_VERSION,
-} = {}) {
-  this.version = version;
-}
-
-/**
- * Finds a previous or next node of a node in the context of an immutable linked ordered map
- * in multiway mode.
- *
- * @param {MultiwayModeImmutableLinkedOrderedMap} map The map.
- * @param {Object} fromNode From node.
- * @param {string} nextNodeDirection The direction, either "previous" or "next".
- * @return {Object|null} The previous node if it exists, or null if it doesn't (e.g. when called on a head node).
- */
-function findMultiwayModeMapNodeByDirection(map, fromNode, nextNodeDirection) {
-  if (
-    (fromNode === map.tail && nextNodeDirection === "next") ||
-    (fromNode === map.head && nextNodeDirection === "previous")
-  ) {
-    return null;
-  }
-
-  const { depth, version } = map;
-  const directionMap = fromNode[nextNodeDirection];
-  let node = null;
-  directionMap.forEach((depthKey, v) => {
-    if (depth >= depthKey) {
-      v.forEach((stackVersion, possibleNode) => {
-        if (isAncestorVersionOfDescendantVersion(stackVersion, version)) {
-          node = possibleNode;
-          return false;
-        }
-      });
-      if (node) {
-        return false;
-      }
-    }
-  });
-  return node;
-}
-
-/**
- * Updates a heap map shared structure (structural sharing) of a map in multiway mode.
- *
- * @param {MultiwayModeImmutableLinkedOrderedMap} map The map which shared heap map should be updated.
- * @param {Object} itemNode The linked node of the item.
- * @return {undefined}
- */
-function updateMultiWayModeHeapMap(map, itemNode) {
-  const { heapMap, depth, version } = map;
-  const key = itemNode.element.key;
-
-  if (!heapMap[key]) {
-    // Depth map.
-    heapMap[key] = new LinkedOrderedMap();
-  }
-  if (!heapMap[key].map[depth]) {
-    // This new linked ordered map functions as a stack.
-    heapMap[key].set(depth, new LinkedOrderedMap(), true);
-  }
-  const stack = heapMap[key].get(depth);
-
-  // Always prepend a new version. Indeed, "stack" here (which is a linked ordered map)
-  // acts like a stack data structure.
-  stack.set(version, itemNode, true);
-}
-
-/**
- * Lookups a node in a multiway mode map.
- *
- * @param {MultiwayModeImmutableLinkedOrderedMap} map The map.
- * @param {string|number} key The key to lookup.
- * @return {Object|undefined} The node in the heap map or undefined, if the value for that key is missing.
- */
-function lookupMultiwayMode(map, key) {
-  const { heapMap, depth, version } = map;
-
-  if (!heapMap[key]) {
-    return void 0;
-  }
-  const depthMap = heapMap[key];
-  let node = void 0;
-  depthMap.forEach((depthKey, v) => {
-    if (depth >= depthKey) {
-      v.forEach((stackVersion, possibleNode) => {
-        if (isAncestorVersionOfDescendantVersion(stackVersion, version)) {
-          node = possibleNode;
-          return false;
-        }
-      });
-      if (node) {
-        return false;
-      }
-    }
-  });
-  return nodeOrUndefined(node);
-}
-
-/**
- * Called when a map in multiway mode is forked.
- *
- * @param {ImmutableLinkedOrderedMap} ancestorMap Ancestor map.
- * @param {ImmutableLinkedOrderedMap} forkedMap The forked map.
- * @return {ImmutableLinkedOrderedMap} forkedMap The forked map.
- */
-function forkMultiwayModeMap(ancestorMap, forkedMap) {
-  forkedMap.version = !ancestorMap.version.length
-    ? `${++ancestorMap.childrenCount}${MULTIWAY_MODE_MAP_TREE_DEPTH_VERSION_SEPARATOR}`
-    : `${
-        ancestorMap.version
-      }${++ancestorMap.childrenCount}${MULTIWAY_MODE_MAP_TREE_DEPTH_VERSION_SEPARATOR}`;
-  return forkedMap;
-}
-
-/**
- * Tests if a version is an ancestor version of a descendant version (used internally for maps in multiway mode).
- *
- * @param {string} possibleAncestorVersion Possible ancestor version.
- * @param {string} descendantVersion Descendant version.
- * @return {boolean} True if the given possible ancestor version is in fact the ancestor version of the given descendant version,
- *                   false otherwise.
- */
-function isAncestorVersionOfDescendantVersion(
-  possibleAncestorVersion,
-  descendantVersion
-) {
-  return (
-    descendantVersion.substring(0, possibleAncestorVersion.length) ===
-    possibleAncestorVersion
-  );
-}
 
-/**
- * Multiway mode immutable linked ordered map.
- */
-class MultiwayModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
   /**
-   * Constructor.
-   *
-   * @constructor
-   *
-   * @param {Object} options Options.
-   */
-  constructor(options) {
-    const instance = super(options);
-
-    instance.childrenCount = 0;
-    return instance;
-  }
-}
-
-/* ======================================================================================================== */
-
-/**
- * Binds two nodes of a map in lightweight mode.
- *
- * @param {LightweightModeImmutableLinkedOrderedMap} map The map.
- * @param {Object} previousNode Previous node.
- * @param {Object} nextNode Next node.
- * @return {undefined}
- */
-function bindLightweightModeNodes(map, previousNode, nextNode) {
-  previousNode.next = nextNode;
-  nextNode.previous = previousNode;
-}
-
-/**
- * Lookups a node in a lightweight mode map.
- *
- * @param {LightweightModeImmutableLinkedOrderedMap} map The map.
- * @param {string|number} key The key to lookup.
- * @return {Object|undefined} The node in the heap map or undefined, if the value for that key is missing.
- */
-function lookupLightweightMode(map, key) {
-  const { heapMap } = map;
-  const node = heapMap[key];
-  return nodeOrUndefined(node);
-}
-
-/**
- * Updates a heap map shared structure (structural sharing) of a map in multiway mode.
- *
- * @param {LightweightModeImmutableLinkedOrderedMap} map The map which shared heap map should be updated.
- * @param {Object} itemNode The linked node of the item.
- * @return {undefined}
- */
-function updateLightweightModeHeapMap(map, itemNode) {
-  const { heapMap } = map;
-  const key = itemNode.element.key;
-  heapMap[key] = itemNode;
-}
+   * {@inheritdoc}
+   */
+  filterMap(fn) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "filterMap"
+      );
+    const map = super.filterMap(fn);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
 
-/**
- * Finds a previous or next node of a node in the context of an immutable linked ordered map
- * in lightweight mode.
- *
- * @param {LightweightModeImmutableLinkedOrderedMap} map The map.
- * @param {Object} fromNode From node.
- * @param {string} nextNodeDirection The direction, either "previous" or "next".
- * @return {Object|null} The previous node if it exists, or null if it doesn't (e.g. when called on a head node).
- */
-function findLightweightModeMapNodeByDirection(
-  map,
-  fromNode,
-  nextNodeDirection
-) {
-  return fromNode[nextNodeDirection];
-}
+  /**
+   * {@inheritdoc}
+   */
+  mapEntries(fn) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "mapEntries"
+      );
+    const map = super.mapEntries(fn);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
 
-/**
- * Makes a new node for an immutable linked ordered map in lightweight mode (used internally).
- *
- * @param {ImmutableLinkedOrderedMap} map The map.
- * @param {Object|null} previous Previous node or null if there isn't one.
- * @param {Object|null} next Next node or null if there isn't one.
- * @param {string|number} key The key of the mapped value.
- * @param {*} value The mapped value.
- * @return {Object} The node.
- */
-function makeLightweightModeImmutableLinkedOrderedMapNode(
-  map,
-  previous,
-  next,
-  key,
-  value
-) {
-  // "map" is not used in this function when we are in lightweight mode.
-  const node = makeNode(previous, next, {
-    key,
-    value,
-  });
-  return node;
-}
+  /**
+   * {@inheritdoc}
+   */
+  moveBefore(key, targetKey) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "moveBefore"
+      );
+    const map = super.moveBefore(key, targetKey);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
 
-/**
- * Throws an error for a second mutation operation on an immutable linkerd ordered map
- * in lightweight mode.
- *
- * @param {string} operation A string identifying the mutation operation.
- * @return {undefined}
- * @throws {Error}
- */
-function throwLightweightModeOperationAftermutationOperationOccurredError(
-  operation
-) {
-  throw new Error(
-    `ImmutableLinkedOrderedMap error: Operation "${operation}" is not allowed on a map in lightweight mode on which a mutation operation occurred once.`
-  );
-}
+  /**
+   * {@inheritdoc}
+   */
+  moveAfter(key, targetKey) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "moveAfter"
+      );
+    const map = super.moveAfter(key, targetKey);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
 
-/**
- * Lightweight mode immutable linked ordered map.
- */
-class LightweightModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap {
   /**
-   * Constructor.
-   *
-   * @constructor
-   *
-   * @param {Object} options Options.
+   * {@inheritdoc}
    */
-  constructor(options) {
-    const instance = super(options);
+  moveToHead(key) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "moveToHead"
+      );
+    const map = super.moveToHead(key);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
+  }
 
-    instance.mutationOperationOccurred = false;
-    return instance;
+  /**
+   * {@inheritdoc}
+   */
+  moveToTail(key) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "moveToTail"
+      );
+    const map = super.moveToTail(key);
+    if (this !== map) {
+      this.mutationOperationOccurred = true;
+    }
+    return map;
   }
 
   /**
    * {@inheritdoc}
    */
-  set(items, prependMissing = false) {
+  swap(keyA, keyB) {
     this.mutationOperationOccurred &&
-      throwLightweightModeOperationAftermutationOperationOccurredError("set");
-    const map = super.set(items, prependMissing);
+      throwLightweightModeOperationAftermutationOperationOccurredError("swap");
+    const map = super.swap(keyA, keyB);
     if (this !== map) {
       this.mutationOperationOccurred = true;
     }
@@ -2313,12 +6795,12 @@ class LightweightModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap
   /**
    * {@inheritdoc}
    */
-  replace(oldKey, item, addMissing = false, prependMissing = false) {
+  insertBefore(targetKey, items, relocateExisting = false) {
     this.mutationOperationOccurred &&
       throwLightweightModeOperationAftermutationOperationOccurredError(
-        "replace"
+        "insertBefore"
       );
-    const map = super.replace(oldKey, item, addMissing, prependMissing);
+    const map = super.insertBefore(targetKey, items, relocateExisting);
     if (this !== map) {
       this.mutationOperationOccurred = true;
     }
@@ -2328,10 +6810,12 @@ class LightweightModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap
   /**
    * {@inheritdoc}
    */
-  unset(key) {
+  insertAfter(targetKey, items, relocateExisting = false) {
     this.mutationOperationOccurred &&
-      throwLightweightModeOperationAftermutationOperationOccurredError("unset");
-    const map = super.unset(key);
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "insertAfter"
+      );
+    const map = super.insertAfter(targetKey, items, relocateExisting);
     if (this !== map) {
       this.mutationOperationOccurred = true;
     }
@@ -2341,41 +6825,199 @@ class LightweightModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap
   /**
    * {@inheritdoc}
    */
-  empty() {
+  get(key) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("get");
+    return super.get(key);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  has(key) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("has");
+    return super.has(key);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  first() {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("first");
+    return super.first();
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  last() {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("last");
+    return super.last();
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  at(index) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("at");
+    return super.at(index);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  keyAt(index) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("keyAt");
+    return super.keyAt(index);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  indexOf(key) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "indexOf"
+      );
+    return super.indexOf(key);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  equals(other, options) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "equals"
+      );
+    return super.equals(other, options);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  diff(other) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("diff");
+    return super.diff(other);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  getIn(path, notSetValue = void 0, options = {}) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("getIn");
+    return super.getIn(path, notSetValue, options);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  groupBy(fn) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "groupBy"
+      );
+    return super.groupBy(fn);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  partition(fn) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "partition"
+      );
+    return super.partition(fn);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  countBy(fn) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "countBy"
+      );
+    return super.countBy(fn);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  rangeBetween(fromKey, toKey, options) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "rangeBetween"
+      );
+    return super.rangeBetween(fromKey, toKey, options);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  slice(start = 0, end = void 0) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("slice");
+    return super.slice(start, end);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  take(n) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("take");
+    return super.take(n);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  takeLast(n) {
     this.mutationOperationOccurred &&
-      throwLightweightModeOperationAftermutationOperationOccurredError("empty");
-    const map = super.empty();
-    if (this !== map) {
-      this.mutationOperationOccurred = true;
-    }
-    return map;
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "takeLast"
+      );
+    return super.takeLast(n);
   }
 
   /**
    * {@inheritdoc}
    */
-  get(key) {
+  skip(n) {
     this.mutationOperationOccurred &&
-      throwLightweightModeOperationAftermutationOperationOccurredError("get");
-    return super.get(key);
+      throwLightweightModeOperationAftermutationOperationOccurredError("skip");
+    return super.skip(n);
   }
 
   /**
    * {@inheritdoc}
    */
-  first() {
+  takeWhile(fn) {
     this.mutationOperationOccurred &&
-      throwLightweightModeOperationAftermutationOperationOccurredError("first");
-    return super.first();
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "takeWhile"
+      );
+    return super.takeWhile(fn);
   }
 
   /**
    * {@inheritdoc}
    */
-  last() {
+  skipWhile(fn) {
     this.mutationOperationOccurred &&
-      throwLightweightModeOperationAftermutationOperationOccurredError("last");
-    return super.last();
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "skipWhile"
+      );
+    return super.skipWhile(fn);
   }
 
   /**
@@ -2440,6 +7082,47 @@ class LightweightModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap
     return super.keysValues(reversed);
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  entries(reversed = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "entries"
+      );
+    return lightweightModeMapIterator(this, super.entries(reversed), "entries");
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  keysIterator(reversed = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "keysIterator"
+      );
+    return lightweightModeMapIterator(
+      this,
+      super.keysIterator(reversed),
+      "keysIterator"
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  valuesIterator(reversed = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "valuesIterator"
+      );
+    return lightweightModeMapIterator(
+      this,
+      super.valuesIterator(reversed),
+      "valuesIterator"
+    );
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -2488,6 +7171,136 @@ class LightweightModeImmutableLinkedOrderedMap extends ImmutableLinkedOrderedMap
       throwLightweightModeOperationAftermutationOperationOccurredError("some");
     return super.some(fn, reversed);
   }
+
+  /**
+   * {@inheritdoc}
+   */
+  find(fn, reversed = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError("find");
+    return super.find(fn, reversed);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  findLast(fn, reversed = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "findLast"
+      );
+    return super.findLast(fn, reversed);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  findKey(fn, reversed = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "findKey"
+      );
+    return super.findKey(fn, reversed);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  findEntry(fn, reversed = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "findEntry"
+      );
+    return super.findEntry(fn, reversed);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  findIndex(fn, reversed = false) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "findIndex"
+      );
+    return super.findIndex(fn, reversed);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  parent() {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "parent"
+      );
+    return super.parent();
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  ancestors() {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "ancestors"
+      );
+    return super.ancestors();
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  children() {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "children"
+      );
+    return super.children();
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  isAncestorOf(other) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "isAncestorOf"
+      );
+    return super.isAncestorOf(other);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  isDescendantOf(other) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "isDescendantOf"
+      );
+    return super.isDescendantOf(other);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  changesSince(ancestorMap) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "changesSince"
+      );
+    return super.changesSince(ancestorMap);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  compact(liveMaps = []) {
+    this.mutationOperationOccurred &&
+      throwLightweightModeOperationAftermutationOperationOccurredError(
+        "compact"
+      );
+    return super.compact(liveMaps);
+  }
 }
 
 /* ======================================================================================================== */
@@ -2537,6 +7350,22 @@ LinkedOrderedMap.prototype.set = function (key, value, prepend = false) {
   }
 };
 
+/**
+ * Sets a value correlated with a new key right before the element of another key.
+ *
+ * @param {string|number} key A key used to lookup the value subsequently. It must not exist in the map.
+ * @param {*} value Anything The value to set.
+ * @param {string|number} beforeKey The key of the element before which the new element will be inserted.
+ *                                  If it does not exist, the new element will be appended.
+ * @return {undefined}
+ */
+LinkedOrderedMap.prototype.setBefore = function (key, value, beforeKey) {
+  const beforeNode = this.map[beforeKey];
+  this.map[key] = beforeNode
+    ? this.keyValueList.insertBefore(beforeNode, { key, value })
+    : this.keyValueList.append({ key, value });
+};
+
 /**
  * Removes an element from the map.
  *
@@ -2754,6 +7583,24 @@ LinkedList.prototype.prepend = function (anything) {
   return this.head;
 };
 
+/**
+ * Adds an element right before a node of this linked list.
+ *
+ * @param {Object} node The node before which the element has to be added.
+ * @param {*} anything Anything to add to this linked list.
+ * @return {Object} A reference to the new added node object of this linked list.
+ */
+LinkedList.prototype.insertBefore = function (node, anything) {
+  if (node === this.head) {
+    return this.prepend(anything);
+  }
+  this.length++;
+  const newNode = makeNode(node.previous, node, anything);
+  node.previous.next = newNode;
+  node.previous = newNode;
+  return newNode;
+};
+
 /**
  * Removes a node from this linked list.
  *
@@ -2877,6 +7724,264 @@ LinkedList.prototype.break = function () {
 
 /* ======================================================================================================== */
 
+/**
+ * Compares two order labels (used internally).
+ *
+ * An order label is an array of integers assigned to a node of an immutable linked ordered map
+ * when the node is positioned in the map. Labels are compared lexicographically, and the labels
+ * of the nodes of a map are always increasing from the head to the tail of the map.
+ *
+ * @param {Array<number>} a An order label.
+ * @param {Array<number>} b Another order label.
+ * @return {number} A negative number if "a" comes before "b", a positive number if "a" comes after "b", 0 if they are equal.
+ */
+function compareOrderLabels(a, b) {
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Returns a new order label which comes strictly after a previous label and strictly before a next label (used internally).
+ *
+ * Labels are never changed once assigned to a node, as nodes are shared between the versions of a map,
+ * therefore there must always be room for a new label between two existing ones.
+ * As the integers of a label are unbounded in both directions, appending and prepending
+ * always return a label with a single integer.
+ *
+ * @param {Array<number>|null} previousLabel The previous label or null if there isn't one (the new label will be the first).
+ * @param {Array<number>|null} nextLabel The next label or null if there isn't one (the new label will be the last).
+ * @return {Array<number>} The new label.
+ */
+function orderLabelBetween(previousLabel, nextLabel) {
+  if (!previousLabel) {
+    return nextLabel ? [nextLabel[0] - 1] : [0];
+  }
+  if (!nextLabel) {
+    return [previousLabel[0] + 1];
+  }
+
+  let i = 0;
+  while (i < previousLabel.length && previousLabel[i] === nextLabel[i]) {
+    i++;
+  }
+  if (i === previousLabel.length) {
+    // "previousLabel" is a prefix of "nextLabel".
+    return [...nextLabel.slice(0, i), nextLabel[i] - 1];
+  } else if (nextLabel[i] - previousLabel[i] > 1) {
+    // There's room for an integer in between.
+    return [
+      ...previousLabel.slice(0, i),
+      Math.floor((previousLabel[i] + nextLabel[i]) / 2),
+    ];
+  }
+  return [
+    ...previousLabel.slice(0, i + 1),
+    i + 1 < previousLabel.length ? previousLabel[i + 1] + 1 : 0,
+  ];
+}
+
+/**
+ * Returns the number of nodes of a persistent order tree (used internally).
+ *
+ * @param {Object|null} tree The root node of the order tree or null for an empty tree.
+ * @return {number} The size of the tree.
+ */
+function orderTreeSize(tree) {
+  return tree ? tree.size : 0;
+}
+
+/**
+ * Makes a new node of a persistent order tree (used internally).
+ *
+ * The order tree is a randomized binary search tree of the order labels of the nodes of a map,
+ * where each node keeps the size of its subtree so that positions can be computed in logarithmic time.
+ * Its nodes are never mutated once created: every operation copies the path it traverses,
+ * so that the trees of the versions of a map share all the other nodes (structural sharing).
+ *
+ * @param {Array<number>} label The order label.
+ * @param {*} key The key of the map node having the given order label.
+ * @param {Object|null} left The left subtree.
+ * @param {Object|null} right The right subtree.
+ * @return {Object} The node.
+ */
+function makeOrderTreeNode(label, key, left, right) {
+  return {
+    label,
+    key,
+    left,
+    right,
+    size: orderTreeSize(left) + orderTreeSize(right) + 1,
+  };
+}
+
+/**
+ * Builds a balanced persistent order tree from entries sorted by their order label (used internally).
+ *
+ * @param {Array<Object>} entries The entries, each one with a "label" and a "key" property.
+ * @param {number} [start] The index of the first entry (inclusive).
+ * @param {number} [end] The index of the last entry (exclusive).
+ * @return {Object|null} The root node of the order tree.
+ */
+function buildOrderTree(entries, start = 0, end = entries.length) {
+  if (start >= end) {
+    return null;
+  }
+  const middle = (start + end) >>> 1;
+  return makeOrderTreeNode(
+    entries[middle].label,
+    entries[middle].key,
+    buildOrderTree(entries, start, middle),
+    buildOrderTree(entries, middle + 1, end)
+  );
+}
+
+/**
+ * Merges two persistent order trees, where all the labels of the left tree come before
+ * the labels of the right tree (used internally).
+ *
+ * @param {Object|null} left The left tree.
+ * @param {Object|null} right The right tree.
+ * @return {Object|null} The merged tree.
+ */
+function mergeOrderTrees(left, right) {
+  if (!left) {
+    return right;
+  }
+  if (!right) {
+    return left;
+  }
+  if (Math.random() * (left.size + right.size) < left.size) {
+    return makeOrderTreeNode(
+      left.label,
+      left.key,
+      left.left,
+      mergeOrderTrees(left.right, right)
+    );
+  }
+  return makeOrderTreeNode(
+    right.label,
+    right.key,
+    mergeOrderTrees(left, right.left),
+    right.right
+  );
+}
+
+/**
+ * Splits a persistent order tree in two trees (used internally).
+ *
+ * @param {Object|null} tree The tree.
+ * @param {Array<number>} label The label at which to split the tree.
+ * @return {Array} A tuple with the tree of the labels coming before "label" and the tree of the other labels.
+ */
+function splitOrderTree(tree, label) {
+  if (!tree) {
+    return [null, null];
+  }
+  if (compareOrderLabels(tree.label, label) < 0) {
+    const [left, right] = splitOrderTree(tree.right, label);
+    return [makeOrderTreeNode(tree.label, tree.key, tree.left, left), right];
+  }
+  const [left, right] = splitOrderTree(tree.left, label);
+  return [left, makeOrderTreeNode(tree.label, tree.key, right, tree.right)];
+}
+
+/**
+ * Inserts the entries of a run of consecutive labels in a persistent order tree (used internally).
+ *
+ * @param {Object|null} tree The tree.
+ * @param {Array<Object>} entries The entries to insert sorted by their order label, each one with a "label" and a "key" property.
+ *                                No label of the tree must be in between the labels of the entries.
+ * @return {Object|null} The new tree.
+ */
+function insertIntoOrderTree(tree, entries) {
+  const [left, right] = splitOrderTree(tree, entries[0].label);
+  return mergeOrderTrees(mergeOrderTrees(left, buildOrderTree(entries)), right);
+}
+
+/**
+ * Removes a label from a persistent order tree (used internally).
+ *
+ * @param {Object|null} tree The tree.
+ * @param {Array<number>} label The label to remove.
+ * @return {Object|null} The new tree.
+ */
+function removeFromOrderTree(tree, label) {
+  if (!tree) {
+    return tree;
+  }
+  const comparison = compareOrderLabels(label, tree.label);
+  if (comparison === 0) {
+    return mergeOrderTrees(tree.left, tree.right);
+  } else if (comparison < 0) {
+    return makeOrderTreeNode(
+      tree.label,
+      tree.key,
+      removeFromOrderTree(tree.left, label),
+      tree.right
+    );
+  }
+  return makeOrderTreeNode(
+    tree.label,
+    tree.key,
+    tree.left,
+    removeFromOrderTree(tree.right, label)
+  );
+}
+
+/**
+ * Returns the node of a persistent order tree at the given position (used internally).
+ *
+ * @param {Object|null} tree The tree.
+ * @param {number} index The position (0-based).
+ * @return {Object|null} The node of the tree or null if the index is out of bounds.
+ */
+function orderTreeNodeAt(tree, index) {
+  let current = tree;
+  while (current) {
+    const leftSize = orderTreeSize(current.left);
+    if (index < leftSize) {
+      current = current.left;
+    } else if (index === leftSize) {
+      return current;
+    } else {
+      index -= leftSize + 1;
+      current = current.right;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the position of a label in a persistent order tree (used internally).
+ *
+ * @param {Object|null} tree The tree.
+ * @param {Array<number>} label The label.
+ * @return {number} The position of the label (0-based) or -1 if the label is not in the tree.
+ */
+function orderTreeIndexOf(tree, label) {
+  let index = 0;
+  let current = tree;
+  while (current) {
+    const comparison = compareOrderLabels(label, current.label);
+    if (comparison < 0) {
+      current = current.left;
+    } else if (comparison === 0) {
+      return index + orderTreeSize(current.left);
+    } else {
+      index += orderTreeSize(current.left) + 1;
+      current = current.right;
+    }
+  }
+  return -1;
+}
+
+/* ======================================================================================================== */
+
 /**
  * @type {Object}
  */
@@ -2888,6 +7993,9 @@ const ImmutableLinkedOrderedMapForMode = {
     findMapNodeByDirection: findSingleModeMapNodeByDirection,
     makeImmutableLinkedOrderedMapNode: makeSingleModeImmutableLinkedOrderedMapNode,
     bindNodes: bindSingleModeNodes,
+    findDepthMapEntry: findSingleModeDepthMapEntry,
+    compactDepthMap: removeDeadEntries,
+    compactHeapMap: compactVersionedHeapMap,
   },
   [ImmutableLinkedOrderedMapMode.MULTIWAY]: {
     ImmutableLinkedOrderedMapClass: MultiwayModeImmutableLinkedOrderedMap,
@@ -2898,6 +8006,9 @@ const ImmutableLinkedOrderedMapForMode = {
     findMapNodeByDirection: findMultiwayModeMapNodeByDirection,
     makeImmutableLinkedOrderedMapNode: makeMultiwayModeImmutableLinkedOrderedMapNode,
     bindNodes: bindMultiwayModeNodes,
+    findDepthMapEntry: findMultiwayModeDepthMapEntry,
+    compactDepthMap: compactMultiwayModeDepthMap,
+    compactHeapMap: compactVersionedHeapMap,
   },
   [ImmutableLinkedOrderedMapMode.LIGHTWEIGHT]: {
     ImmutableLinkedOrderedMapClass: LightweightModeImmutableLinkedOrderedMap,
@@ -2906,6 +8017,7 @@ const ImmutableLinkedOrderedMapForMode = {
     findMapNodeByDirection: findLightweightModeMapNodeByDirection,
     makeImmutableLinkedOrderedMapNode: makeLightweightModeImmutableLinkedOrderedMapNode,
     bindNodes: bindLightweightModeNodes,
+    compactHeapMap: compactLightweightModeHeapMap,
   },
 };
 
@@ -0,0 +1,279 @@
+/*
+ * Copyright (c) 2021 Anton Bagdatyev (Tonix)
+ *
+ * Permission is hereby granted, free of charge, to any person
+ * obtaining a copy of this software and associated documentation
+ * files (the "Software"), to deal in the Software without
+ * restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following
+ * conditions:
+ *
+ * The above copyright notice and this permission notice shall be
+ * included in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import {
+  ImmutableLinkedOrderedMap,
+  ImmutableLinkedOrderedMapMode,
+} from "./ImmutableLinkedOrderedMap";
+
+/**
+ * Makes a new entry of a history (used internally).
+ *
+ * @param {ImmutableLinkedOrderedMap} map The version of the map.
+ * @param {Object|null} parentEntry The entry of the previous version or null if it is the first entry.
+ * @return {Object} The entry.
+ */
+function makeHistoryEntry(map, parentEntry) {
+  return {
+    map,
+    parentEntry,
+    childEntries: [],
+    redoEntry: null,
+  };
+}
+
+/**
+ * Drops the oldest entries of a history which exceed its capacity.
+ *
+ * @param {ImmutableLinkedOrderedMapHistory} history The history.
+ * @return {undefined}
+ */
+function dropExceedingHistoryEntries(history) {
+  while (history.undoLength > history.capacity) {
+    // The child of the root entry on the path of the current entry becomes the new root entry,
+    // the redo branches of the dropped root entry are dropped as well.
+    let entry = history.currentEntry;
+    while (entry.parentEntry !== history.rootEntry) {
+      entry = entry.parentEntry;
+    }
+    entry.parentEntry = null;
+    history.rootEntry = entry;
+    history.undoLength--;
+  }
+}
+
+/**
+ * Records a new version of the map in a history, which becomes the current version (used internally).
+ *
+ * @param {ImmutableLinkedOrderedMapHistory} history The history.
+ * @param {ImmutableLinkedOrderedMap} map The new version of the map.
+ * @param {ImmutableLinkedOrderedMap} fromMap The map the new version must be related to
+ *                                            (the current version or the copy of it made by "apply").
+ * @return {ImmutableLinkedOrderedMap} The current version.
+ * @throws {TypeError} If the given map is not a map, does not have the same mode of the current version
+ *                     or does not belong to the same version tree of "fromMap".
+ */
+function pushHistoryVersion(history, map, fromMap) {
+  if (!ImmutableLinkedOrderedMap.isMap(map) || map.mode !== fromMap.mode) {
+    throw new TypeError(
+      `ImmutableLinkedOrderedMapHistory type error: A new version must be a map with the same mode of the current version`
+    );
+  } else if (map === history.current) {
+    // Nothing has changed.
+    return map;
+  } else if (
+    !map.isDescendantOf(fromMap) &&
+    !ImmutableLinkedOrderedMap.commonAncestor(fromMap, map)
+  ) {
+    throw new TypeError(
+      `ImmutableLinkedOrderedMapHistory type error: A new version must be a map of the same version tree of the current version`
+    );
+  }
+
+  const { currentEntry } = history;
+  if (map.mode === ImmutableLinkedOrderedMapMode.SINGLE) {
+    // Linear history, the undone versions cannot be redone anymore.
+    currentEntry.childEntries = [];
+  }
+  const entry = makeHistoryEntry(map, currentEntry);
+  currentEntry.childEntries.push(entry);
+  currentEntry.redoEntry = entry;
+  history.currentEntry = entry;
+  history.undoLength++;
+  dropExceedingHistoryEntries(history);
+  return map;
+}
+
+/**
+ * Undo/redo history of the versions of an immutable linked ordered map.
+ *
+ * The history keeps references to the versions of the map, which share their structure,
+ * instead of storing copies of them (except for maps in single mode after undoing, see "apply").
+ *
+ * For maps in multiway mode, recording a new version after undoing keeps the undone versions as redo branches.
+ * Maps in single mode cannot be mutated twice, therefore their history is linear: recording a new version after undoing
+ * drops the undone versions. Maps in lightweight mode are mutated in place and are not supported.
+ *
+ * E.g.:
+ *
+ *     const history = new ImmutableLinkedOrderedMapHistory(map, { capacity: 100 })
+ *     history.apply(map => map.set({ id: 1, title: "Draft" }))
+ *     history.undo() // Returns the initial map.
+ *     history.redo() // Returns the map with the draft.
+ */
+class ImmutableLinkedOrderedMapHistory {
+  /**
+   * Constructor.
+   *
+   * @constructor
+   *
+   * @param {ImmutableLinkedOrderedMap} map The initial version of the map.
+   * @param {Object} [options] Options.
+   * @param {number} [options.capacity] The maximum number of versions which can be undone (defaults to "Infinity").
+   * @throws {TypeError} If the given map is not a map or is a map in lightweight mode.
+   */
+  constructor(map, { capacity = Infinity } = {}) {
+    if (!ImmutableLinkedOrderedMap.isMap(map)) {
+      throw new TypeError(
+        `ImmutableLinkedOrderedMapHistory type error: The initial version of the history must be a map`
+      );
+    } else if (map.mode === ImmutableLinkedOrderedMapMode.LIGHTWEIGHT) {
+      throw new TypeError(
+        `ImmutableLinkedOrderedMapHistory type error: Maps in lightweight mode are mutated in place and cannot be kept in a history`
+      );
+    }
+
+    this.capacity = Math.max(0, capacity);
+    this.rootEntry = makeHistoryEntry(map, null);
+    this.currentEntry = this.rootEntry;
+    this.undoLength = 0;
+  }
+
+  /**
+   * Getter for the current version of the map.
+   *
+   * @return {ImmutableLinkedOrderedMap} The current version.
+   */
+  get current() {
+    return this.currentEntry.map;
+  }
+
+  /**
+   * Getter telling whether there is a version to undo.
+   *
+   * @return {boolean} True if "undo" can be called, false otherwise.
+   */
+  get canUndo() {
+    return this.undoLength > 0;
+  }
+
+  /**
+   * Getter telling whether there is a version to redo.
+   *
+   * @return {boolean} True if "redo" can be called, false otherwise.
+   */
+  get canRedo() {
+    return this.currentEntry.childEntries.length > 0;
+  }
+
+  /**
+   * Getter for the versions which can be redone from the current version, in the order they have been recorded.
+   *
+   * Maps in multiway mode may have more than one redo branch.
+   *
+   * @return {Array<ImmutableLinkedOrderedMap>} The versions.
+   */
+  get redoBranches() {
+    return this.currentEntry.childEntries.map(({ map }) => map);
+  }
+
+  /**
+   * Records a new version of the map, which becomes the current version.
+   *
+   * Nothing is recorded if the given map is the current version.
+   * The new version must belong to the same version tree of the current version
+   * (usually, it is a map forked from the current version).
+   *
+   * @param {ImmutableLinkedOrderedMap} map The new version of the map.
+   * @return {ImmutableLinkedOrderedMap} The current version.
+   * @throws {TypeError} If the given map is not a map, does not have the same mode of the current version
+   *                     or does not belong to the same version tree of the current version.
+   */
+  push(map) {
+    return pushHistoryVersion(this, map, this.current);
+  }
+
+  /**
+   * Applies a function to the current version of the map and records the version it returns.
+   *
+   * Maps in single mode cannot be mutated twice, therefore if the current version has already been mutated
+   * (e.g. after undoing), the function receives a copy of the current version having the same options
+   * (key property name, mode, "useNativeMap" and "autoCompact").
+   * The copy does not share the structure of the current version: making it costs O(n) time and memory,
+   * where n is the number of entries. It is the root of a new version tree, so the versions recorded from then on
+   * are not related to the previous ones (e.g. "changesSince" or "isDescendantOf" do not relate them).
+   *
+   * @param {Function} fn A function receiving the current version of the map, returning the new version.
+   * @return {ImmutableLinkedOrderedMap} The current version.
+   * @throws {TypeError} If the returned map is not a map, does not have the same mode of the current version
+   *                     or does not belong to the same version tree of the map given to the function.
+   */
+  apply(fn) {
+    let map = this.current;
+    if (
+      map.mode === ImmutableLinkedOrderedMapMode.SINGLE &&
+      map.mutationOperationOccurred
+    ) {
+      map = new ImmutableLinkedOrderedMap({
+        keyPropName: map.keyPropName,
+        mode: map.mode,
+        useNativeMap: map.useNativeMap,
+        autoCompact: map.autoCompact,
+        initialEntries: map.entries(),
+      });
+    }
+    const newMap = fn(map);
+    return newMap === map
+      ? this.current
+      : pushHistoryVersion(this, newMap, map);
+  }
+
+  /**
+   * Undoes the current version, making the previous one the current version.
+   *
+   * @return {ImmutableLinkedOrderedMap} The current version (the same version if there is nothing to undo).
+   */
+  undo() {
+    if (this.canUndo) {
+      const { currentEntry } = this;
+      currentEntry.parentEntry.redoEntry = currentEntry;
+      this.currentEntry = currentEntry.parentEntry;
+      this.undoLength--;
+    }
+    return this.current;
+  }
+
+  /**
+   * Redoes a version which has been undone, making it the current version.
+   *
+   * @param {number} [branch] The position of the version to redo in "redoBranches".
+   *                          Defaults to the version which has been undone or recorded last.
+   * @return {ImmutableLinkedOrderedMap} The current version (the same version if there is nothing to redo).
+   */
+  redo(branch = void 0) {
+    const { currentEntry } = this;
+    const entry =
+      typeof branch === "undefined"
+        ? currentEntry.redoEntry
+        : currentEntry.childEntries[branch];
+    if (entry) {
+      this.currentEntry = entry;
+      this.undoLength++;
+    }
+    return this.current;
+  }
+}
+
+export { ImmutableLinkedOrderedMapHistory };
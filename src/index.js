@@ -27,6 +27,7 @@ import {
   ImmutableLinkedOrderedMap,
   ImmutableLinkedOrderedMapMode,
 } from "./ImmutableLinkedOrderedMap";
+import { ImmutableLinkedOrderedMapHistory } from "./ImmutableLinkedOrderedMapHistory";
 import { lazyMap } from "./shortcuts/lazyMap";
 import { map } from "./shortcuts/map";
 import { lazyMapFactory } from "./shortcuts/lazyMapFactory";
@@ -35,10 +36,12 @@ import { lazyMapFactory } from "./shortcuts/lazyMapFactory";
   ["lazyMap", lazyMap],
   ["map", map],
   ["lazyMapFactory", lazyMapFactory],
+  ["History", ImmutableLinkedOrderedMapHistory],
 ].map(([key, value]) => (ImmutableLinkedOrderedMap[key] = value));
 export {
   ImmutableLinkedOrderedMap as default,
   ImmutableLinkedOrderedMapMode,
+  ImmutableLinkedOrderedMapHistory,
   lazyMap,
   lazyMapFactory,
 };
@@ -49,7 +49,9 @@ import { DEFAULT_KEY_PROP_NAME } from "../constants";
  * map.get(4); // undefined
  * ```
  *
- * @param {string} keyPropName The key property name to use for the items in the map that will be created by the returned factory function.
+ * @param {string|Array<string>|Function} keyPropName The key property name to use for the items in the map that will be created by the returned factory function.
+ *                                                   As for the "keyPropName" option of a map, it may also be a dotted path,
+ *                                                   an array of property names for a composite key or a function returning the key of an item.
  * @return {(initialItems: Array) => ImmutableLinkedOrderedMap} A factory function to create a lazy map for the given property name "keyPropName".
  */
 export const lazyMapFactory = (keyPropName = DEFAULT_KEY_PROP_NAME) => (